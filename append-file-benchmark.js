@@ -1,46 +1,31 @@
-const Benchmark = require('benchmark');
 const fs = require('fs');
 const path = require('path');
+const { createSuite, runSuite, benchmarkAsync } = require('./lib/harness');
+const { sharedRandom } = require('./lib/random');
 
 // File paths
 const LOG_FILE_PATH = path.join(__dirname, 'benchmark-log.txt');
 const SYNC_LOG_FILE_PATH = path.join(__dirname, 'benchmark-sync-log.txt');
 
-// Clean up existing log files
-if (fs.existsSync(LOG_FILE_PATH)) fs.unlinkSync(LOG_FILE_PATH);
-if (fs.existsSync(SYNC_LOG_FILE_PATH)) fs.unlinkSync(SYNC_LOG_FILE_PATH);
+// Replace any existing log files with empty ones
+function resetLogFiles() {
+  if (fs.existsSync(LOG_FILE_PATH)) fs.unlinkSync(LOG_FILE_PATH);
+  if (fs.existsSync(SYNC_LOG_FILE_PATH)) fs.unlinkSync(SYNC_LOG_FILE_PATH);
 
-// Create empty log files
-fs.writeFileSync(LOG_FILE_PATH, '');
-fs.writeFileSync(SYNC_LOG_FILE_PATH, '');
-
-// Benchmark suite
-const appendSuite = new Benchmark.Suite('File Append Operations');
-
-// Helper function to properly benchmark async operations
-function benchmarkAsync(fn) {
-  return {
-    defer: true,
-    fn: function(deferred) {
-      Promise.resolve(fn())
-        .then(() => deferred.resolve())
-        .catch(err => {
-          console.error('Benchmark error:', err);
-          deferred.resolve();
-        });
-    }
-  };
+  fs.writeFileSync(LOG_FILE_PATH, '');
+  fs.writeFileSync(SYNC_LOG_FILE_PATH, '');
 }
 
 // Generate random log entry
 function generateLogEntry() {
+  const random = sharedRandom('log-entries');
   const timestamp = new Date().toISOString();
-  const randomId = Math.floor(Math.random() * 1000000);
-  return `[${timestamp}] User ${randomId} performed action: ${Math.random() < 0.5 ? 'login' : 'logout'}\n`;
+  const randomId = Math.floor(random() * 1000000);
+  return `[${timestamp}] User ${randomId} performed action: ${random() < 0.5 ? 'login' : 'logout'}\n`;
 }
 
 // Setup append benchmarks
-function setupAppendBenchmarks() {
+function setupAppendBenchmarks(appendSuite) {
   appendSuite
     .add('fs.promises.appendFile - Single Append', {
       minSamples: 5,
@@ -87,44 +72,38 @@ function setupAppendBenchmarks() {
     });
 }
 
-// Display benchmark results
-function displayResults(suite) {
-  console.log(`\n${suite.name}:`);
-  suite.forEach(benchmark => {
-    console.log(`  ${benchmark.name}: ${Math.round(benchmark.hz).toLocaleString()} ops/sec`);
-    if (benchmark.error) {
-      console.error(`  Error: ${benchmark.error}`);
-    }
-  });
+// Run all benchmarks
+// options: { filter, minSamples, maxTime } - see lib/harness.js
+async function run(options = {}) {
+  const appendSuite = createSuite('File Append Operations', options);
+
+  resetLogFiles();
+
+  console.log('Setting up benchmarks...');
+  setupAppendBenchmarks(appendSuite);
+  
+  console.log('\nRunning benchmarks...');
+  console.log('This may take a while...');
+  
+  // Run the suite
+  await runSuite(appendSuite);
+  console.log('\nBenchmark complete!');
+  
+  // Display file sizes
+  const asyncFileSize = fs.statSync(LOG_FILE_PATH).size;
+  const syncFileSize = fs.statSync(SYNC_LOG_FILE_PATH).size;
+  console.log(`\nAsync log file size: ${(asyncFileSize / 1024).toFixed(2)} KB`);
+  console.log(`Sync log file size: ${(syncFileSize / 1024).toFixed(2)} KB`);
+
+  return [appendSuite];
 }
 
-// Run all benchmarks
-async function runBenchmarks() {
-  try {
-    console.log('Setting up benchmarks...');
-    setupAppendBenchmarks();
-    
-    console.log('\nRunning benchmarks...');
-    console.log('This may take a while...');
-    
-    // Run the suite
-    appendSuite
-      .on('complete', function() {
-        displayResults(this);
-        console.log('\nBenchmark complete!');
-        
-        // Display file sizes
-        const asyncFileSize = fs.statSync(LOG_FILE_PATH).size;
-        const syncFileSize = fs.statSync(SYNC_LOG_FILE_PATH).size;
-        console.log(`\nAsync log file size: ${(asyncFileSize / 1024).toFixed(2)} KB`);
-        console.log(`Sync log file size: ${(syncFileSize / 1024).toFixed(2)} KB`);
-      })
-      .run({ async: true });
-    
-  } catch (error) {
+module.exports = { run };
+
+// Run the benchmarks when executed directly
+if (require.main === module) {
+  run().catch(error => {
     console.error('Error running benchmarks:', error);
-  }
+    process.exitCode = 1;
+  });
 }
-
-// Run the benchmarks
-runBenchmarks();
\ No newline at end of file
@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+const path = require('path');
+const { parseArgs } = require('util');
+const fs = require('fs');
+const { collectResults, writeResults, readResults, latestResultFile, loadResultFiles } = require('./lib/results');
+const { renderMarkdown, updateReadme } = require('./lib/report');
+const { renderHtml } = require('./lib/html-report');
+const baseline = require('./lib/baseline');
+const { parseSizes, displayScaleReport } = require('./lib/scale');
+const { STATE_STRATEGIES, DEFAULT_STATE_STRATEGY, validateStrategy } = require('./lib/state');
+const { SQLITE_LIBRARIES, DEFAULT_SQLITE_LIBRARY, validateSqliteLibrary } = require('./lib/drivers/sqlite');
+const { DEFAULT_WORKER_COUNTS, DEFAULT_READER_COUNTS, DEFAULT_BUSY_TIMEOUT, parseWorkerCounts } = require('./lib/concurrency');
+const { SWEEP_PRAGMAS, parsePragmaSweep } = require('./lib/pragmas');
+const { randomSeed, setSeed, getSeed } = require('./lib/random');
+const { createFixture, writeFixture, validateFixture } = require('./lib/fixtures');
+const { resolvePgConfig, pgTarget } = require('./lib/pg-config');
+const { parseRtts, parseBandwidth, describeNetwork, startLatencyProxy, displayNetworkReport } = require('./lib/network');
+const { INDEX_SETS, parseIndexSets, displayIndexReport } = require('./lib/indexes');
+
+// Available benchmark suites, loaded lazily so that running one suite
+// does not require the drivers of the others. Suites marked pg connect to
+// PostgreSQL and can run through the latency proxy of "bench network"; suites
+// marked indexable run the CRUD scenarios and accept --indexes.
+const SUITES = {
+  sqlite: {
+    description: 'CRUD operations: native better-sqlite3 vs Knex.js, Kysely, Drizzle and node:sqlite',
+    scalable: true,
+    indexable: true,
+    load: () => require('./sqlite-benchmark')
+  },
+  wal: {
+    description: 'Write operations: default journal mode vs WAL journal mode',
+    load: () => require('./sqlite-wal-benchmark')
+  },
+  append: {
+    description: 'File append operations: fs.promises.appendFile vs fs.appendFileSync',
+    load: () => require('./append-file-benchmark')
+  },
+  postgres: {
+    description: 'CRUD operations: native pg vs Knex.js, Kysely and Drizzle on pg',
+    scalable: true,
+    indexable: true,
+    pg: true,
+    load: () => require('./supabase-benchmark')
+  },
+  bulk: {
+    description: 'Bulk ingest into pg: per-row, multi-row VALUES, UNNEST, COPY FROM STDIN, Knex.js batchInsert',
+    pg: true,
+    load: () => require('./pg-bulk-benchmark')
+  },
+  pool: {
+    description: 'Pool concurrency on pg: native pg vs Knex.js with K queries in flight on matched pools',
+    pg: true,
+    load: () => require('./pg-pool-benchmark')
+  }
+};
+
+const DEFAULT_SUITES = ['sqlite'];
+
+// Directory that receives result files when --output is not given
+const RESULTS_DIR = path.join(__dirname, 'results');
+
+// Users in a fixture when --records is not given, as many as the CRUD suites seed by default
+const DEFAULT_FIXTURE_RECORDS = 100;
+
+const USAGE = `Usage: bench [command] [suite...] [options]
+
+Commands:
+  list                    List the available suites
+  run [suite...]          Run the given suites (default: ${DEFAULT_SUITES.join(', ')})
+  baseline save <name> [file]
+                          Save a result file (default: the latest one) as a named baseline
+  baseline list           List the saved baselines
+  compare <name> [file]   Compare a result file (default: the latest one) against a baseline;
+                          exits with code 1 on a significant regression
+  scale [suite...]        Re-seed and run CRUD suites (sqlite, postgres) at several table
+                          sizes and report how the native-vs-Knex.js gap changes
+  network [suite...]      Run pg suites (default: postgres) through a local proxy adding
+                          each --rtt round-trip time and report how the results change
+  report [file...]        Generate a Markdown results and native-vs-Knex.js ratio report
+                          from result files (default: the latest one); with --format html
+                          (or an .html --output) a self-contained HTML report with charts
+  fixture <file>          Generate a dataset fixture of --records users from the seed, to load
+                          the same rows into every database with --fixture
+
+Running "bench <suite...>" is a shorthand for "bench run <suite...>".
+
+Options:
+  -f, --filter <name>     Only run cases whose name contains <name> (repeatable)
+  -s, --samples <n>       Minimum number of samples per case
+  -t, --max-time <sec>    Maximum time in seconds spent on each case
+      --state <strategy>  How cases that change data keep the table state stable (default: ${DEFAULT_STATE_STRATEGY}):
+${Object.entries(STATE_STRATEGIES).map(([name, description]) => `                            ${name.padEnd(10)} ${description}`).join('\n')}
+      --sqlite-driver <lib>
+                          SQLite library of the wal suite: ${SQLITE_LIBRARIES.join(' or ')} (default: ${DEFAULT_SQLITE_LIBRARY})
+      --workers <list>    Worker counts of the wal suite's concurrent write cases (default: ${DEFAULT_WORKER_COUNTS.join(',')})
+      --readers <list>    Reader counts of the wal suite's reads-during-writes cases (default: ${DEFAULT_READER_COUNTS.join(',')})
+      --busy-timeout <ms> busy_timeout of every worker connection of those cases (default: ${DEFAULT_BUSY_TIMEOUT})
+      --pragma <name>=<values>
+                          Run the wal suite once per combination of PRAGMA values instead of
+                          default vs WAL and rank them, e.g. --pragma synchronous=NORMAL,FULL
+                          (repeatable; ${SWEEP_PRAGMAS.join(', ')})
+      --profile           Also time the build and toSQL phases of the Knex.js CRUD cases
+                          (sqlite, postgres) and print a phase breakdown next to native
+      --workloads         Also run mixed read/write workloads with uniform, zipfian and latest
+                          key distributions (sqlite, postgres)
+      --plans             Capture the query plan of every CRUD case (sqlite, postgres): EXPLAIN
+                          QUERY PLAN on SQLite, EXPLAIN (ANALYZE, BUFFERS) on pg
+      --indexes <list>    Run the CRUD suites once per index set and compare them, e.g.
+                          none,age,covering (${Object.keys(INDEX_SETS).join(', ')})
+      --async-controls    Also run the native better-sqlite3 cases of the sqlite suite through
+                          benchmarkAsync, a resolved promise and setImmediate
+      --pg-profile <name> Connection profile of the postgres suite (default: DATABASE_URL if set,
+                          else "local"); see pg.config.example.json
+      --pg-config <file>  Config file with the postgres profiles (default: pg.config.json)
+      --seed <value>      Seed of the random data and keys (default: a random seed, printed
+                          and stored in the result file)
+      --fixture <file>    Seed the CRUD suites (sqlite, postgres) with the users of a fixture
+                          instead of generated ones; the table size defaults to the fixture's
+      --records <n>       Users in a fixture generated by "fixture", e.g. 100k (default: ${DEFAULT_FIXTURE_RECORDS})
+  -o, --output <file>     Result file to write (default: results/<timestamp>-<suites>.<format>)
+      --format <format>   Result file format: json or csv (default: from --output, else json);
+                          for "report": markdown or html
+      --sizes <list>      Table sizes for "scale", e.g. 100,10k,100k,1m (default: 100,10k,100k,1m)
+      --batch-sizes <list>
+                          Rows per batch of the bulk suite (default: 10,100,1k,10k,100k)
+      --in-flight <list>  Queries kept in flight by the pool suite (default: 1,4,16,64)
+      --pool-sizes <list> Maximum clients of both pools of the pool suite (default: 4,16,64)
+      --rtt <list>        Round-trip times in ms for "network" (default: 1,20,80)
+      --jitter <ms>       Maximum random variation of each one-way delay for "network" (default: 0)
+      --bandwidth <rate>  Bandwidth limit per direction for "network", e.g. 100mbit (default: none)
+      --compare <name>    After running, compare the results against a baseline
+      --threshold <pct>   Minimum ops/sec change to flag, in percent (default: ${baseline.DEFAULT_THRESHOLD})
+      --alpha <p>         Significance level of the t-test (default: ${baseline.DEFAULT_ALPHA})
+      --lang <lang>       Report language: en or id (default: en)
+      --update-readme     Replace the generated results block in README.md with the report
+  -h, --help              Show this help`;
+
+// Command line options shared by all commands
+const OPTIONS = {
+  filter: { type: 'string', short: 'f', multiple: true },
+  samples: { type: 'string', short: 's' },
+  'max-time': { type: 'string', short: 't' },
+  state: { type: 'string' },
+  'sqlite-driver': { type: 'string' },
+  workers: { type: 'string' },
+  readers: { type: 'string' },
+  'busy-timeout': { type: 'string' },
+  pragma: { type: 'string', multiple: true },
+  profile: { type: 'boolean' },
+  'async-controls': { type: 'boolean' },
+  workloads: { type: 'boolean' },
+  plans: { type: 'boolean' },
+  indexes: { type: 'string' },
+  'pg-profile': { type: 'string' },
+  'pg-config': { type: 'string' },
+  seed: { type: 'string' },
+  fixture: { type: 'string' },
+  records: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string' },
+  sizes: { type: 'string' },
+  'batch-sizes': { type: 'string' },
+  'in-flight': { type: 'string' },
+  'pool-sizes': { type: 'string' },
+  rtt: { type: 'string' },
+  jitter: { type: 'string' },
+  bandwidth: { type: 'string' },
+  compare: { type: 'string' },
+  threshold: { type: 'string' },
+  alpha: { type: 'string' },
+  lang: { type: 'string' },
+  'update-readme': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Parse a positive number option, failing loudly on anything else
+function parsePositiveNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${flag} expects a positive number, got "${value}"`);
+  }
+  return number;
+}
+
+// Parse a number option that may be zero, failing loudly on anything else
+function parseNonNegativeNumber(value, flag) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${flag} expects a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+// Translate parsed CLI values into the options object understood by every suite's run()
+function toRunOptions(values) {
+  const minSamples = parsePositiveNumber(values.samples, '--samples');
+  return {
+    filter: values.filter,
+    minSamples: minSamples === undefined ? undefined : Math.ceil(minSamples),
+    maxTime: parsePositiveNumber(values['max-time'], '--max-time'),
+    state: values.state === undefined ? undefined : validateStrategy(values.state),
+    sqliteDriver: values['sqlite-driver'] === undefined ? undefined : validateSqliteLibrary(values['sqlite-driver']),
+    workers: values.workers === undefined ? undefined : parseWorkerCounts(values.workers, '--workers'),
+    readers: values.readers === undefined ? undefined : parseWorkerCounts(values.readers, '--readers'),
+    busyTimeout: parseNonNegativeNumber(values['busy-timeout'], '--busy-timeout'),
+    pragmas: values.pragma === undefined ? undefined : parsePragmaSweep(values.pragma),
+    profile: values.profile,
+    asyncControls: values['async-controls'],
+    workloads: values.workloads,
+    plans: values.plans,
+    indexSets: values.indexes === undefined ? undefined : parseIndexSets(values.indexes),
+    batchSizes: values['batch-sizes'] === undefined ? undefined : parseSizes(values['batch-sizes'], '--batch-sizes'),
+    inFlight: values['in-flight'] === undefined ? undefined : parseWorkerCounts(values['in-flight'], '--in-flight'),
+    poolSizes: values['pool-sizes'] === undefined ? undefined : parseWorkerCounts(values['pool-sizes'], '--pool-sizes'),
+    pgProfile: values['pg-profile'],
+    pgConfig: values['pg-config'],
+    seed: values.seed === undefined ? randomSeed() : values.seed,
+    fixture: values.fixture === undefined ? undefined : validateFixture(values.fixture)
+  };
+}
+
+// Default result file name, e.g. results/2024-05-01T10-00-00-000Z-sqlite-wal.json
+function defaultOutputFile(names, format) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(RESULTS_DIR, `${timestamp}-${names.join('-')}.${format || 'json'}`);
+}
+
+// Write the result records of a run and report where they went
+function saveResults(names, records, values, runOptions) {
+  const file = values.output || defaultOutputFile(names, values.format);
+  writeResults(file, records, {
+    format: values.format,
+    meta: { suites: names, seed: runOptions.seed, options: runOptions }
+  });
+  console.log(`\nResults written to ${path.relative(process.cwd(), path.resolve(file))}`);
+  return file;
+}
+
+// Result file given on the command line, or the latest one in results/
+function resolveResultFile(file) {
+  const resolved = file || latestResultFile(RESULTS_DIR);
+  if (!resolved) {
+    throw new Error('No result file given and none found in results/. Run a suite first.');
+  }
+  return resolved;
+}
+
+// Compare a result file against a named baseline; returns true on a regression
+function compareWithBaseline(name, file, values) {
+  const comparison = baseline.compareResults(
+    baseline.loadBaseline(name).results,
+    readResults(file).results,
+    {
+      threshold: parsePositiveNumber(values.threshold, '--threshold'),
+      alpha: parsePositiveNumber(values.alpha, '--alpha')
+    }
+  );
+  baseline.displayComparison(comparison, name);
+  return comparison.regressions > 0;
+}
+
+function baselineCommand([action, name, file]) {
+  if (action === 'save') {
+    if (!name) throw new Error('Usage: bench baseline save <name> [file]');
+    const source = resolveResultFile(file);
+    const saved = baseline.saveBaseline(name, source);
+    console.log(`Saved ${source} as baseline "${name}" (${path.relative(process.cwd(), saved)})`);
+  } else if (action === 'list') {
+    const baselines = baseline.listBaselines();
+    if (baselines.length === 0) console.log('No baselines saved yet.');
+    for (const b of baselines) {
+      console.log(`  ${b.name.padEnd(20)} ${b.cases} cases, saved ${b.savedAt}`);
+    }
+  } else {
+    throw new Error('Usage: bench baseline <save|list> ...');
+  }
+}
+
+// Report format from --format or the --output extension
+function resolveReportFormat(values) {
+  const format = values.format || (values.output && /\.html?$/i.test(values.output) ? 'html' : 'markdown');
+  if (format !== 'markdown' && format !== 'html') {
+    throw new Error(`Unsupported report format "${format}", expected markdown or html`);
+  }
+  return format;
+}
+
+// Generate a report: HTML is written to --output (default: report.html); Markdown
+// is printed, written to --output or spliced into README.md
+function reportCommand(files, values) {
+  const sources = files.length > 0 ? files : [resolveResultFile()];
+  const records = loadResultFiles(sources);
+
+  if (resolveReportFormat(values) === 'html') {
+    const output = values.output || 'report.html';
+    fs.writeFileSync(output, renderHtml(records, { sources: sources.map(file => path.basename(file)) }));
+    console.log(`HTML report written to ${output}`);
+    return;
+  }
+
+  const markdown = renderMarkdown(records, { lang: values.lang });
+
+  if (values['update-readme']) {
+    updateReadme(path.join(__dirname, 'README.md'), markdown);
+    console.log('Updated the results block in README.md');
+  } else if (values.output) {
+    fs.writeFileSync(values.output, markdown);
+    console.log(`Report written to ${values.output}`);
+  } else {
+    process.stdout.write(markdown);
+  }
+}
+
+// Run the CRUD suites once per table size; every record is tagged with its size
+async function scaleCommand(names, values) {
+  const suiteNames = names.length > 0 ? names : DEFAULT_SUITES;
+  const unsupported = suiteNames.filter(name => SUITES[name] && !SUITES[name].scalable);
+  if (unsupported.length > 0) {
+    throw new Error(`Suite(s) ${unsupported.join(', ')} do not seed a table and cannot be scaled`);
+  }
+
+  const sizes = parseSizes(values.sizes);
+  const runOptions = toRunOptions(values);
+  const records = [];
+
+  for (const size of sizes) {
+    console.log(`\n##### Table size: ${size.toLocaleString()} rows #####`);
+    const runs = await runSuites(suiteNames, { ...runOptions, numRecords: size });
+    records.push(...collectResults(runs).map(record => ({ ...record, size })));
+  }
+
+  saveResults(suiteNames, records, values, { ...runOptions, sizes });
+  displayScaleReport(records);
+}
+
+// Run the pg suites once per round-trip time through a latency proxy in front of
+// the resolved connection; every record is tagged with its RTT
+async function networkCommand(names, values) {
+  const suiteNames = names.length > 0 ? names : ['postgres'];
+  const unsupported = suiteNames.filter(name => SUITES[name] && !SUITES[name].pg);
+  if (unsupported.length > 0) {
+    throw new Error(`Suite(s) ${unsupported.join(', ')} do not connect to PostgreSQL and cannot run through the latency proxy`);
+  }
+
+  const rtts = parseRtts(values.rtt);
+  const network = {
+    jitter: parseNonNegativeNumber(values.jitter, '--jitter') || 0,
+    bandwidth: parseBandwidth(values.bandwidth)
+  };
+  const runOptions = toRunOptions(values);
+  const target = pgTarget(resolvePgConfig({ profile: runOptions.pgProfile, configFile: runOptions.pgConfig }).url);
+  const records = [];
+
+  for (const rtt of rtts) {
+    console.log(`\n##### Network: ${describeNetwork({ rtt, ...network })} to ${target.host}:${target.port} #####`);
+    const proxy = await startLatencyProxy(target, { rtt, ...network, seed: runOptions.seed });
+    try {
+      // A failing proxy fails the run instead of leaving its connections hanging
+      const runs = await Promise.race([runSuites(suiteNames, { ...runOptions, pgProxy: proxy.address }), proxy.failed]);
+      records.push(...collectResults(runs).map(record => ({ ...record, rtt })));
+    } finally {
+      await proxy.close();
+    }
+  }
+
+  saveResults(suiteNames, records, values, { ...runOptions, network: { rtts, ...network } });
+  displayNetworkReport(records);
+}
+
+// Generate a fixture of --records users from --seed and write it to file
+function fixtureCommand([file], values) {
+  if (!file) throw new Error('Usage: bench fixture <file> [--records <n>] [--seed <value>]');
+  const [records] = values.records === undefined ? [DEFAULT_FIXTURE_RECORDS] : parseSizes(values.records, '--records');
+  setSeed(values.seed === undefined ? randomSeed() : values.seed);
+  writeFixture(file, createFixture(records));
+  console.log(`Fixture of ${records.toLocaleString()} users (seed ${getSeed()}) written to ${file}`);
+}
+
+function listSuites() {
+  console.log('Available suites:');
+  for (const [name, suite] of Object.entries(SUITES)) {
+    console.log(`  ${name.padEnd(10)} ${suite.description}`);
+  }
+}
+
+// Run the named suites one after another, once per index set of runOptions.indexSets
+// if given; each run then carries its index set (see lib/indexes.js)
+async function runSuites(names, runOptions) {
+  const unknown = names.filter(name => !SUITES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown suite(s): ${unknown.join(', ')}. Run "bench list" to see the available suites.`);
+  }
+  const unindexable = runOptions.indexSets ? names.filter(name => !SUITES[name].indexable) : [];
+  if (unindexable.length > 0) {
+    throw new Error(`Suite(s) ${unindexable.join(', ')} do not run the CRUD scenarios and cannot use --indexes`);
+  }
+
+  // Every run starts all random streams afresh from its seed, see lib/random.js
+  if (runOptions.seed !== undefined) {
+    setSeed(runOptions.seed);
+    console.log(`Random seed: ${getSeed()} (repeat with --seed ${getSeed()})`);
+  }
+
+  const results = [];
+  for (const indexes of runOptions.indexSets || [undefined]) {
+    if (indexes) console.log(`\n##### Index set: ${indexes} (${INDEX_SETS[indexes].description}) #####`);
+    for (const name of names) {
+      console.log(`\n=== Running suite: ${name} ===`);
+      const suites = await SUITES[name].load().run({ ...runOptions, indexes });
+      results.push({ name, suites, indexes });
+    }
+  }
+  return results;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const [command, ...rest] = positionals;
+
+  if (command === 'list') {
+    listSuites();
+    return;
+  }
+
+  if (command === 'baseline') {
+    baselineCommand(rest);
+    return;
+  }
+
+  if (command === 'compare') {
+    if (!rest[0]) throw new Error('Usage: bench compare <baseline> [file]');
+    if (compareWithBaseline(rest[0], resolveResultFile(rest[1]), values)) process.exitCode = 1;
+    return;
+  }
+
+  if (command === 'scale') {
+    await scaleCommand(rest, values);
+    return;
+  }
+
+  if (command === 'network') {
+    await networkCommand(rest, values);
+    return;
+  }
+
+  if (command === 'report') {
+    reportCommand(rest, values);
+    return;
+  }
+
+  if (command === 'fixture') {
+    fixtureCommand(rest, values);
+    return;
+  }
+
+  const names = command === 'run' ? rest : positionals;
+  const suiteNames = names.length > 0 ? names : DEFAULT_SUITES;
+  const runOptions = toRunOptions(values);
+  const runs = await runSuites(suiteNames, runOptions);
+  const records = collectResults(runs);
+  const file = saveResults(suiteNames, records, values, runOptions);
+  if (runOptions.indexSets) displayIndexReport(records);
+
+  if (values.compare && compareWithBaseline(values.compare, file, values)) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { SUITES, runSuites };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
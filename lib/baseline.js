@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { readResults, recordKey } = require('./results');
+const { welchTTest } = require('./stats');
+
+// Named baselines are stored as JSON result documents in this directory
+const BASELINES_DIR = path.join(__dirname, '..', 'baselines');
+
+// Defaults for compareResults()
+const DEFAULT_THRESHOLD = 5; // percent change in ops/sec
+const DEFAULT_ALPHA = 0.05; // significance level of the t-test
+
+function baselinePath(name) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid baseline name "${name}": use letters, digits, ".", "-" and "_"`);
+  }
+  return path.join(BASELINES_DIR, `${name}.json`);
+}
+
+// Save a result file (JSON or CSV) as a named baseline
+function saveBaseline(name, resultFile) {
+  const document = readResults(resultFile);
+  const file = baselinePath(name);
+  fs.mkdirSync(BASELINES_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    ...document,
+    baseline: name,
+    source: path.basename(resultFile),
+    savedAt: new Date().toISOString()
+  }, null, 2) + '\n');
+  return file;
+}
+
+function loadBaseline(name) {
+  const file = baselinePath(name);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Baseline "${name}" not found. Run "bench baseline list" to see the saved baselines.`);
+  }
+  return readResults(file);
+}
+
+function listBaselines() {
+  if (!fs.existsSync(BASELINES_DIR)) return [];
+  return fs.readdirSync(BASELINES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const document = readResults(path.join(BASELINES_DIR, file));
+      return {
+        name: path.basename(file, '.json'),
+        savedAt: document.savedAt,
+        cases: document.results.length
+      };
+    });
+}
+
+// Compare current result records against baseline records, case by case.
+// A case is a regression (or improvement) when its ops/sec changed by more than
+// `threshold` percent AND Welch's t-test on the raw samples is significant at `alpha`.
+function compareResults(baselineRecords, currentRecords, options = {}) {
+  const threshold = options.threshold != null ? options.threshold : DEFAULT_THRESHOLD;
+  const alpha = options.alpha != null ? options.alpha : DEFAULT_ALPHA;
+
+  const baselineByKey = new Map(baselineRecords.map(record => [recordKey(record), record]));
+  const currentKeys = new Set();
+  const cases = [];
+
+  for (const current of currentRecords) {
+    const key = recordKey(current);
+    currentKeys.add(key);
+    const baseline = baselineByKey.get(key);
+
+    if (!baseline) {
+      cases.push({ key, status: 'new', current });
+      continue;
+    }
+    if (current.error || baseline.error || !current.hz || !baseline.hz) {
+      cases.push({ key, status: 'error', baseline, current });
+      continue;
+    }
+
+    const change = (current.hz / baseline.hz - 1) * 100;
+    const { pValue } = welchTTest(baseline.sample, current.sample);
+    const significant = pValue < alpha;
+
+    let status = 'unchanged';
+    if (significant && change <= -threshold) status = 'regression';
+    else if (significant && change >= threshold) status = 'improvement';
+
+    cases.push({ key, status, baseline, current, change, pValue });
+  }
+
+  for (const baseline of baselineRecords) {
+    const key = recordKey(baseline);
+    if (!currentKeys.has(key)) cases.push({ key, status: 'missing', baseline });
+  }
+
+  return {
+    threshold,
+    alpha,
+    cases,
+    regressions: cases.filter(c => c.status === 'regression').length,
+    improvements: cases.filter(c => c.status === 'improvement').length
+  };
+}
+
+// Display a comparison produced by compareResults()
+function displayComparison(comparison, baselineName) {
+  const labels = {
+    regression: 'REGRESSION',
+    improvement: 'improvement',
+    unchanged: 'unchanged',
+    new: 'new case',
+    missing: 'missing',
+    error: 'error'
+  };
+
+  console.log(`\nComparison against baseline "${baselineName}" (threshold ${comparison.threshold}%, alpha ${comparison.alpha}):`);
+  for (const c of comparison.cases) {
+    let line = `  [${labels[c.status]}] ${c.key}`;
+    if (c.change !== undefined) {
+      const sign = c.change >= 0 ? '+' : '';
+      line += `: ${Math.round(c.baseline.hz).toLocaleString()} -> ${Math.round(c.current.hz).toLocaleString()} ops/sec` +
+        ` (${sign}${c.change.toFixed(2)}%, p=${c.pValue.toFixed(4)})`;
+    }
+    console.log(line);
+  }
+  console.log(`\n${comparison.regressions} regression(s), ${comparison.improvements} improvement(s)`);
+}
+
+module.exports = {
+  BASELINES_DIR,
+  DEFAULT_THRESHOLD,
+  DEFAULT_ALPHA,
+  saveBaseline,
+  loadBaseline,
+  listBaselines,
+  compareResults,
+  displayComparison
+};
@@ -0,0 +1,179 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const { createSuite, countChanges } = require('./harness');
+const { inTransaction } = require('./drivers/pg');
+
+// Bulk ingest paths into the pg users table. The Batch Insert (Transaction) case
+// of the postgres suite sends one INSERT per row, while Knex.js sends one
+// multi-row INSERT, so that pair compares different work. Here every path loads
+// the same batch of users in its own way and the cases are compared in rows/sec
+// at batch sizes from 10 to 100k rows. Cases are named "<path> - <n> Rows" and
+// grouped per batch size.
+
+// Batch sizes used when --batch-sizes is not given
+const DEFAULT_BATCH_SIZES = [10, 100, 1000, 10000, 100000];
+
+// pg allows 65535 parameters per statement, so a multi-row VALUES insert of
+// 3 parameters per row holds at most this many rows
+const MAX_VALUES_ROWS = Math.floor(65535 / 3);
+
+// Rows per INSERT of Knex.js batchInsert (its default chunk size)
+const KNEX_CHUNK_SIZE = 1000;
+
+// Rows per chunk written to the COPY stream
+const COPY_CHUNK_ROWS = 1000;
+
+function valuesInsert(db, users) {
+  const placeholders = users.map((_, i) => `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3})`);
+  return db.query(
+    `INSERT INTO users (name, email, age) VALUES ${placeholders.join(', ')}`,
+    users.flatMap(user => [user.name, user.email, user.age])
+  );
+}
+
+// A value in COPY text format: backslash, tab, newline and carriage return
+// escaped, \N for NULL
+function copyValue(value) {
+  if (value === null || value === undefined) return '\\N';
+  return String(value).replace(/[\\\t\n\r]/g, char => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[char]);
+}
+
+// COPY text format lines of the users, COPY_CHUNK_ROWS rows per chunk
+function* copyChunks(users) {
+  for (let start = 0; start < users.length; start += COPY_CHUNK_ROWS) {
+    yield users.slice(start, start + COPY_CHUNK_ROWS)
+      .map(user => `${copyValue(user.name)}\t${copyValue(user.email)}\t${copyValue(user.age)}\n`)
+      .join('');
+  }
+}
+
+// Ingest paths in case order. insert({ pool, knex }, users) resolves to the number of rows inserted.
+const BULK_PATHS = [
+  {
+    name: 'Per-row INSERT (Transaction)',
+    insert: ({ pool }, users) => inTransaction(pool, async client => {
+      let changes = 0;
+      for (const user of users) {
+        changes += (await client.query(
+          'INSERT INTO users (name, email, age) VALUES ($1, $2, $3)',
+          [user.name, user.email, user.age]
+        )).rowCount;
+      }
+      return changes;
+    })
+  },
+  {
+    // Batches above MAX_VALUES_ROWS are split into several inserts in one transaction
+    name: 'Multi-row VALUES',
+    insert: async ({ pool }, users) => {
+      if (users.length <= MAX_VALUES_ROWS) return (await valuesInsert(pool, users)).rowCount;
+      return inTransaction(pool, async client => {
+        let changes = 0;
+        for (let start = 0; start < users.length; start += MAX_VALUES_ROWS) {
+          changes += (await valuesInsert(client, users.slice(start, start + MAX_VALUES_ROWS))).rowCount;
+        }
+        return changes;
+      });
+    }
+  },
+  {
+    // One statement with one array parameter per column, whatever the batch size
+    name: 'INSERT ... SELECT FROM UNNEST',
+    insert: async ({ pool }, users) => (await pool.query(
+      'INSERT INTO users (name, email, age) SELECT * FROM UNNEST($1::text[], $2::text[], $3::int[])',
+      [users.map(user => user.name), users.map(user => user.email), users.map(user => user.age)]
+    )).rowCount
+  },
+  {
+    name: 'COPY FROM STDIN',
+    insert: async ({ pool }, users) => {
+      const client = await pool.connect();
+      try {
+        const stream = client.query(copyFrom('COPY users (name, email, age) FROM STDIN'));
+        await pipeline(Readable.from(copyChunks(users)), stream);
+        return stream.rowCount;
+      } finally {
+        client.release();
+      }
+    }
+  },
+  {
+    // batchInsert runs its chunked inserts in a transaction
+    name: 'Knex.js batchInsert',
+    insert: async ({ knex }, users) => {
+      const results = await knex.batchInsert('users', users, KNEX_CHUNK_SIZE);
+      return results.reduce((changes, result) => changes + result.rowCount, 0);
+    }
+  }
+];
+
+function bulkGroupName(batchSize) {
+  return `Bulk Insert, ${batchSize.toLocaleString('en-US')} Rows`;
+}
+
+function bulkCaseName(path, batchSize) {
+  return `${path.name} - ${batchSize.toLocaleString('en-US')} Rows`;
+}
+
+// Benchmark.js case options loading users through a path. The case's details
+// hold its batch size and rows/sec once it completes.
+function bulkCase(path, connections, users) {
+  return {
+    minSamples: 3,
+    mutates: true,
+    defer: true,
+    fn: function(deferred) {
+      path.insert(connections, users).then(changes => {
+        countChanges(changes);
+        deferred.resolve();
+      }, err => {
+        console.error('Benchmark error:', err);
+        deferred.resolve();
+      });
+    },
+    onComplete: function() {
+      this.details = { path: path.name, batchSize: users.length, rowsPerSecond: this.hz * users.length };
+    }
+  };
+}
+
+// A suite of every path loading one batch of users, see createSuite() for the
+// options; the stateManager option empties the table the paths load into
+function createBulkSuite(users, connections, options) {
+  const suite = createSuite(bulkGroupName(users.length), options);
+  for (const path of BULK_PATHS) {
+    suite.add(bulkCaseName(path, users.length), bulkCase(path, connections, users));
+  }
+  return suite;
+}
+
+// Print rows/sec of every path per batch size
+function displayBulkRates(suites, batchSizes) {
+  const rows = [];
+  for (const path of BULK_PATHS) {
+    const cells = batchSizes.map(batchSize => {
+      const suite = suites.find(candidate => candidate.name === bulkGroupName(batchSize));
+      const benchmark = suite && Array.from(suite).find(candidate => candidate.name === bulkCaseName(path, batchSize));
+      if (!benchmark) return '-';
+      if (benchmark.error) return 'failed';
+      return Math.round(benchmark.hz * batchSize).toLocaleString('en-US');
+    });
+    if (cells.some(cell => cell !== '-')) rows.push([path.name, ...cells]);
+  }
+  if (rows.length === 0) return;
+
+  console.log('\n=== BULK INSERT (rows/sec) ===');
+  const header = ['Path', ...batchSizes.map(batchSize => `${batchSize.toLocaleString('en-US')} rows`)];
+  const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(`  ${row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ')}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZES,
+  BULK_PATHS,
+  createBulkSuite,
+  displayBulkRates
+};
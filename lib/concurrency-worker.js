@@ -0,0 +1,134 @@
+// Worker thread of the multi-connection benchmarks, see lib/concurrency.js.
+// Opens its own connection to the shared database file, reports ready, waits for
+// the start message and then runs its role until the deadline:
+//   mixed   write a small transaction, then read one of its rows back
+//   writer  write small transactions
+//   reader  run the Select By Id and Select By Condition queries of the sqlite suite
+// Operations that fail with SQLITE_BUSY after the busy timeout are retried and counted.
+const { parentPort, workerData } = require('worker_threads');
+const { openSqlite, createTransaction, createSqliteOperations, applyPragmas, isBusyError } = require('./drivers/sqlite');
+const { generateUser } = require('./scenarios');
+const { fileSizes } = require('./wal-metrics');
+const { setSeed, createRandom } = require('./random');
+
+const { id, role, library, filename, pragmas, busyTimeout, rowsPerTransaction, seedRows, seed, sliceSeconds } = workerData;
+
+// Workers draw from the seed of the run, each from its own stream
+setSeed(seed);
+const random = createRandom(`worker/${id}`);
+
+const db = openSqlite(library, filename);
+db.exec(`PRAGMA busy_timeout = ${busyTimeout}`);
+// Connection-level PRAGMAs such as synchronous and cache_size only apply to the connection that sets them
+applyPragmas(db, pragmas);
+
+const statements = new Map();
+const operations = createSqliteOperations(db, sql => {
+  if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+  return statements.get(sql);
+});
+
+const insert = db.prepare('INSERT INTO users (name, email, age) VALUES (?, ?, ?)');
+const write = createTransaction(db, users => {
+  let lastId = 0;
+  for (const user of users) {
+    lastId = Number(insert.run(user.name, user.email, user.age).lastInsertRowid);
+  }
+  return lastId;
+});
+
+const result = {
+  // Completed operations and their latencies in seconds, per kind (write, read, selectById, selectByAge)
+  operations: {},
+  rowsWritten: 0,
+  rowsRead: 0,
+  busy: 0,
+  // Write transactions completed per time slice of sliceSeconds since the start
+  slices: []
+};
+
+let startTime;
+let endTime;
+let written = 0;
+
+// Run fn until it succeeds, retrying on SQLITE_BUSY, and record its latency under kind.
+// Returns { value }, or undefined when the deadline passed before fn succeeded.
+function timed(kind, fn) {
+  const start = process.hrtime.bigint();
+  for (;;) {
+    try {
+      const value = fn();
+      const operation = result.operations[kind] || (result.operations[kind] = { count: 0, latencies: [] });
+      operation.count++;
+      operation.latencies.push(Number(process.hrtime.bigint() - start) / 1e9);
+      return { value };
+    } catch (error) {
+      if (!isBusyError(error)) throw error;
+      result.busy++;
+      if (Date.now() >= endTime) return undefined;
+    }
+  }
+}
+
+function writeTransaction() {
+  const users = Array.from({ length: rowsPerTransaction }, () => generateUser(`${id}-${written++}`, random));
+  const transaction = timed('write', () => write(users));
+  if (!transaction) return undefined;
+  result.rowsWritten += users.length;
+
+  // A write finishing after the last full slice is cut short by the deadline, so it is not sliced
+  const slice = Math.floor((Date.now() - startTime) / 1000 / sliceSeconds);
+  if (startTime + (slice + 1) * sliceSeconds * 1000 <= endTime) {
+    result.slices[slice] = (result.slices[slice] || 0) + 1;
+  }
+  return transaction;
+}
+
+function countRows(rows) {
+  if (Array.isArray(rows)) result.rowsRead += rows.length;
+  else if (rows) result.rowsRead++;
+}
+
+// One iteration of every role; false stops the worker
+const ROLES = {
+  mixed() {
+    const transaction = writeTransaction();
+    if (!transaction) return false;
+    const row = timed('read', () => operations.selectById(Math.floor(random() * transaction.value) + 1));
+    if (!row) return false;
+    countRows(row.value);
+    return true;
+  },
+
+  writer() {
+    return Boolean(writeTransaction());
+  },
+
+  reader() {
+    const row = timed('selectById', () => operations.selectById(Math.floor(random() * seedRows) + 1));
+    if (!row) return false;
+    countRows(row.value);
+    const rows = timed('selectByAge', () => operations.selectByAge(30, 20));
+    if (!rows) return false;
+    countRows(rows.value);
+    return true;
+  }
+};
+
+parentPort.once('message', message => {
+  ({ startTime, endTime } = message);
+  try {
+    while (Date.now() < endTime && ROLES[role]()) {
+      // keep going until the deadline
+    }
+  } finally {
+    // Sizes while this connection is still open; the last one to close checkpoints and removes the WAL
+    result.files = fileSizes(filename);
+    db.close();
+  }
+  // Slices without a completed write are holes in the array, count them as zero
+  result.slices = Array.from(result.slices, count => count || 0);
+  parentPort.postMessage(result);
+});
+
+parentPort.postMessage('ready');
@@ -0,0 +1,264 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { matchesFilter, displayResults } = require('./harness');
+const { summarizeLatencies, histogramFromLatencies, formatMillis } = require('./latency');
+const { createResultSuite, completedCase, failedCase } = require('./result-suite');
+const { generateUser } = require('./scenarios');
+const { createRandom, getSeed } = require('./random');
+const { SCHEMA, openSqlite, applyPragmas, removeDatabase, insertUsers } = require('./drivers/sqlite');
+const { fileSizes } = require('./wal-metrics');
+
+// Benchmarks with several connections to one database file at once. Worker
+// threads (lib/concurrency-worker.js), each with its own connection, run their
+// role for a fixed duration:
+// - runConcurrentWrites(): N workers write small transactions and read rows back
+// - runReadsDuringWrites(): one writer writes small transactions while N readers
+//   run the select queries of the sqlite suite
+//
+// This does not fit Benchmark.js, which times one function at a time, so the
+// results are shaped like a completed Benchmark.js suite instead (see
+// lib/result-suite.js):
+//   hz     write transactions per second over all workers
+//   sample seconds per write transaction over all workers, one value per time
+//          slice of SLICE_SECONDS, or of the whole run when it is shorter (slices
+//          in which no write finished are left out; a case in which no slice
+//          has a write fails)
+// Busy counts, latency percentiles and file sizes go into the case's details.
+
+const WORKER_SCRIPT = path.join(__dirname, 'concurrency-worker.js');
+
+// Worker counts of runConcurrentWrites() when --workers is not given
+const DEFAULT_WORKER_COUNTS = [1, 2, 4, 8];
+
+// Reader counts of runReadsDuringWrites() when --readers is not given
+const DEFAULT_READER_COUNTS = [1, 2, 4];
+
+// PRAGMA busy_timeout of every worker connection in milliseconds, when --busy-timeout is not given
+const DEFAULT_BUSY_TIMEOUT = 5000;
+
+// Seconds every case runs for, when --max-time is not given
+const DEFAULT_DURATION = 2;
+
+// Rows inserted by each write transaction
+const ROWS_PER_TRANSACTION = 5;
+
+// Rows seeded before runReadsDuringWrites() cases, so the readers have rows to find
+const READER_SEED_ROWS = 1000;
+
+const SLICE_SECONDS = 0.1;
+
+// Parse "1,2,4,8" into [1, 2, 4, 8]; flag names the option in error messages
+function parseWorkerCounts(value, flag = '--workers') {
+  return value.split(',').map(part => {
+    const count = Number(part.trim());
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error(`${flag} expects a comma-separated list of positive counts, got "${part}"`);
+    }
+    return count;
+  });
+}
+
+// Create a fresh database file with the users table, configured with the given PRAGMAs
+function createDatabase(library, filename, pragmas, seedRows = 0) {
+  removeDatabase(filename);
+  const db = openSqlite(library, filename);
+  try {
+    applyPragmas(db, pragmas);
+    db.exec(SCHEMA);
+    if (seedRows > 0) {
+      const random = createRandom('concurrency/seed');
+      insertUsers(db, Array.from({ length: seedRows }, (_, i) => generateUser(i, random)));
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// Next message of a worker, rejecting if the worker fails first
+function nextMessage(thread) {
+  return new Promise((resolve, reject) => {
+    thread.once('message', resolve);
+    thread.once('error', reject);
+  });
+}
+
+// Start one worker per role, wait until every one has opened its connection,
+// start them together and resolve to their results
+function runWorkers(roles, { library, filename, pragmas, busyTimeout, duration, sliceSeconds, seedRows = 0 }) {
+  const threads = roles.map((role, id) => new Worker(WORKER_SCRIPT, {
+    workerData: {
+      id,
+      role,
+      library,
+      filename,
+      pragmas,
+      busyTimeout,
+      seedRows,
+      seed: getSeed(),
+      rowsPerTransaction: ROWS_PER_TRANSACTION,
+      sliceSeconds
+    }
+  }));
+
+  return Promise.all(threads.map(nextMessage))
+    .then(() => {
+      const startTime = Date.now();
+      const endTime = startTime + duration * 1000;
+      threads.forEach(thread => thread.postMessage({ startTime, endTime }));
+      return Promise.all(threads.map(nextMessage));
+    })
+    .finally(() => Promise.all(threads.map(thread => thread.terminate())));
+}
+
+// Largest file sizes the workers saw at the end of the run
+function largestFileSizes(results) {
+  const sizes = { db: 0, wal: 0, shm: 0 };
+  for (const result of results) {
+    for (const key of Object.keys(sizes)) sizes[key] = Math.max(sizes[key], result.files[key]);
+  }
+  return sizes;
+}
+
+// Turn the results of all workers of one run into a completed-case object, see
+// the top of this file. details are stored with the case, next to the busy
+// count and the latency summary of every kind of operation.
+function toCase(name, results, duration, sliceSeconds, details) {
+  const sum = key => results.reduce((total, result) => total + result[key], 0);
+  const kinds = [...new Set(results.flatMap(result => Object.keys(result.operations)))];
+  const latency = {};
+  for (const kind of kinds) {
+    const operations = results.map(result => result.operations[kind]).filter(Boolean);
+    latency[kind] = summarizeLatencies(operations.flatMap(operation => operation.latencies));
+  }
+  const writes = latency.write ? latency.write.count : 0;
+  const reads = kinds.filter(kind => kind !== 'write').reduce((total, kind) => total + latency[kind].count, 0);
+
+  const slices = [];
+  for (const result of results) {
+    result.slices.forEach((count, i) => { slices[i] = (slices[i] || 0) + count; });
+  }
+  const sample = Array.from(slices, count => count || 0)
+    .filter(count => count > 0)
+    .map(count => sliceSeconds / count);
+  // Without a sample the case would show as a valid result of 0 runs sampled
+  if (sample.length === 0) {
+    throw new Error(`No write transaction finished within a time slice of ${sliceSeconds} s`);
+  }
+
+  return completedCase(name, { hz: writes / duration, sample, mean: writes ? duration / writes : 0 }, {
+    counters: { calls: writes + reads, changes: sum('rowsWritten'), rows: sum('rowsRead'), observed: writes + reads },
+    details: { ...details, duration, writes, reads, busy: sum('busy'), latency }
+  });
+}
+
+// Print throughput, busy counts and tail latency of completed cases.
+// columns: [{ kind, label }] - the operation kinds whose latency is shown
+function displayConcurrency(name, cases, columns) {
+  if (cases.length === 0) return;
+  console.log(`\n=== ${name.toUpperCase()} (latency in ms) ===`);
+  const header = ['Case', 'Writes/s', 'Reads/s', 'Busy',
+    ...columns.flatMap(({ label }) => [`${label} p50`, `${label} p99`, `${label} max`])];
+  const rows = cases.map(benchmark => {
+    const { details } = benchmark;
+    return [
+      benchmark.name,
+      Math.round(benchmark.hz).toLocaleString('en-US'),
+      Math.round(details.reads / details.duration).toLocaleString('en-US'),
+      String(details.busy),
+      ...columns.flatMap(({ kind }) => {
+        const latency = details.latency[kind] || {};
+        return [formatMillis(latency.p50), formatMillis(latency.p99), formatMillis(latency.max)];
+      })
+    ];
+  });
+  const width = Math.max(...[header, ...rows].map(row => row[0].length));
+  const cellWidth = Math.max(10, ...header.slice(1).map(cell => cell.length + 1));
+  for (const row of [header, ...rows]) {
+    console.log(`  ${row[0].padEnd(width)}  ${row.slice(1).map(cell => cell.padStart(cellWidth)).join('')}`);
+  }
+}
+
+// Run every mode at every count and resolve to a suite-shaped array of
+// completed cases. setup(count) returns { name, roles, details, seedRows } of one case.
+async function runCases(name, library, modes, options, counts, setup, columns) {
+  const busyTimeout = options.busyTimeout != null ? options.busyTimeout : DEFAULT_BUSY_TIMEOUT;
+  const duration = options.maxTime || DEFAULT_DURATION;
+  // A run shorter than a slice is sampled as a single slice
+  const sliceSeconds = Math.min(SLICE_SECONDS, duration);
+
+  const suite = createResultSuite(name);
+
+  for (const mode of modes) {
+    for (const count of counts) {
+      const { name: caseSuffix, roles, details, seedRows } = setup(count);
+      const caseName = `${mode.label} - ${caseSuffix}`;
+      if (!matchesFilter(caseName, options.filter)) continue;
+
+      createDatabase(library, mode.filename, mode.pragmas, seedRows);
+      const before = fileSizes(mode.filename);
+      try {
+        const results = await runWorkers(roles, { library, filename: mode.filename, pragmas: mode.pragmas, busyTimeout, duration, sliceSeconds, seedRows });
+        const files = { before, after: largestFileSizes(results) };
+        const benchmark = toCase(caseName, results, duration, sliceSeconds, { ...details, busyTimeout, files });
+        suite.counters.set(caseName, benchmark.counters);
+        // The case's operation is a write transaction, like its hz
+        suite.latencies.set(caseName, histogramFromLatencies(results.flatMap(result => (result.operations.write || { latencies: [] }).latencies)));
+        suite.push(benchmark);
+      } catch (error) {
+        console.error(`Error in ${name} - ${caseName}:`, error.message);
+        suite.push(failedCase(caseName, error));
+      } finally {
+        removeDatabase(mode.filename);
+      }
+    }
+  }
+
+  if (suite.length === 0) {
+    console.log(`\n${name}: no cases match the filter, skipping`);
+  } else {
+    displayResults(suite);
+    displayConcurrency(name, suite.filter(benchmark => !benchmark.error), columns);
+  }
+  return suite;
+}
+
+// N workers that each write a transaction and read one of its rows back, named
+// "<label> - <N> Workers".
+// modes: [{ label, pragmas, filename }] - PRAGMAs set on the new database and on every
+//        worker connection, e.g. { journal_mode: 'WAL' }
+// options: { filter, maxTime } - see lib/harness.js
+//          { workers } - worker counts (default: 1, 2, 4, 8)
+//          { busyTimeout } - busy timeout of every connection in ms (default: 5000)
+function runConcurrentWrites(name, library, modes, options = {}) {
+  return runCases(name, library, modes, options, options.workers || DEFAULT_WORKER_COUNTS, workers => ({
+    name: `${workers} Worker${workers === 1 ? '' : 's'}`,
+    roles: Array(workers).fill('mixed'),
+    details: { workers }
+  }), [{ kind: 'write', label: 'Write' }, { kind: 'read', label: 'Read' }]);
+}
+
+// One writer writing transactions while N readers run Select By Id and Select
+// By Condition on a seeded table, named "<label> - 1 Writer + <N> Readers".
+// hz is the writer's throughput; the reader latencies are in the details.
+// options: as runConcurrentWrites(), with { readers } - reader counts (default: 1, 2, 4)
+function runReadsDuringWrites(name, library, modes, options = {}) {
+  return runCases(name, library, modes, options, options.readers || DEFAULT_READER_COUNTS, readers => ({
+    name: `1 Writer + ${readers} Reader${readers === 1 ? '' : 's'}`,
+    roles: ['writer', ...Array(readers).fill('reader')],
+    details: { writers: 1, readers },
+    seedRows: READER_SEED_ROWS
+  }), [
+    { kind: 'write', label: 'Write' },
+    { kind: 'selectById', label: 'By Id' },
+    { kind: 'selectByAge', label: 'Range' }
+  ]);
+}
+
+module.exports = {
+  DEFAULT_WORKER_COUNTS,
+  DEFAULT_READER_COUNTS,
+  DEFAULT_BUSY_TIMEOUT,
+  parseWorkerCounts,
+  runConcurrentWrites,
+  runReadsDuringWrites
+};
@@ -0,0 +1,167 @@
+const { eq, gt, desc, count, avg, min, max, sql, TransactionRollbackError } = require('drizzle-orm');
+const { drizzle: drizzleSqlite } = require('drizzle-orm/better-sqlite3');
+const { drizzle: drizzlePg } = require('drizzle-orm/node-postgres');
+const { sqliteTable, integer: sqliteInteger, text: sqliteText } = require('drizzle-orm/sqlite-core');
+const { pgTable, serial, integer: pgInteger, text: pgText, timestamp } = require('drizzle-orm/pg-core');
+const { Pool } = require('pg');
+const fs = require('fs');
+const { withRollback } = require('../state');
+const sqlite = require('./sqlite');
+const pg = require('./pg');
+
+// The users table as Drizzle schemas. Property names match the column names,
+// so rows have the same shape as the other drivers' rows.
+const sqliteUsers = sqliteTable('users', {
+  id: sqliteInteger('id').primaryKey({ autoIncrement: true }),
+  name: sqliteText('name').notNull(),
+  email: sqliteText('email').notNull(),
+  age: sqliteInteger('age'),
+  created_at: sqliteText('created_at')
+});
+
+const pgUsers = pgTable('users', {
+  id: serial('id').primaryKey(),
+  name: pgText('name').notNull(),
+  email: pgText('email').notNull(),
+  age: pgInteger('age'),
+  created_at: timestamp('created_at').defaultNow()
+});
+
+// Aggregates of the Complex Query scenario
+function ageStatsColumns(users) {
+  return {
+    count: count(),
+    average_age: avg(users.age),
+    min_age: min(users.age),
+    max_age: max(users.age)
+  };
+}
+
+// Scenario operations on a Drizzle better-sqlite3 database. Drizzle runs
+// better-sqlite3 queries synchronously, so these return results directly.
+function createDrizzleSqliteOperations(db) {
+  const users = sqliteUsers;
+  return {
+    insertOne: user => db.insert(users).values(user).run().changes,
+    insertBatch: rows => db.insert(users).values(rows).run().changes,
+    selectAll: limit => db.select().from(users).limit(limit).all(),
+    selectById: id => db.select().from(users).where(eq(users.id, id)).get(),
+    selectByAge: (age, limit) => db.select().from(users).where(gt(users.age, age)).limit(limit).all(),
+    updateAge: (id, age) => db.update(users).set({ age }).where(eq(users.id, id)).run().changes,
+    deleteById: id => db.delete(users).where(eq(users.id, id)).run().changes,
+    ageStats: age => db.select(ageStatsColumns(users)).from(users).where(gt(users.age, age)).get(),
+    lastUsers: limit => db.select({ name: users.name, email: users.email, age: users.age })
+      .from(users).orderBy(desc(users.id)).limit(limit).all()
+  };
+}
+
+// Scenario operations on a Drizzle node-postgres database or transaction
+function createDrizzlePgOperations(db) {
+  const users = pgUsers;
+  return {
+    insertOne: async user => (await db.insert(users).values(user)).rowCount,
+    insertBatch: async rows => (await db.insert(users).values(rows)).rowCount,
+    selectAll: limit => db.select().from(users).limit(limit),
+    selectById: async id => (await db.select().from(users).where(eq(users.id, id)))[0],
+    selectByAge: (age, limit) => db.select().from(users).where(gt(users.age, age)).limit(limit),
+    updateAge: async (id, age) => (await db.update(users).set({ age }).where(eq(users.id, id))).rowCount,
+    deleteById: async id => (await db.delete(users).where(eq(users.id, id))).rowCount,
+    ageStats: async age => (await db.select(ageStatsColumns(users)).from(users).where(gt(users.age, age)))[0],
+    lastUsers: limit => db.select({ name: users.name, email: users.email, age: users.age })
+      .from(users).orderBy(desc(users.id)).limit(limit)
+  };
+}
+
+// Drizzle on better-sqlite3 driver for the CRUD scenarios, see lib/scenarios.js
+function createDrizzleSqliteDriver({ filename }) {
+  const driver = {
+    name: 'Drizzle',
+    sync: true,
+    connection: null,
+    operations: null,
+
+    // Remove a stale database file and open a fresh connection
+    async open() {
+      if (fs.existsSync(filename)) fs.unlinkSync(filename);
+      driver.connection = sqlite.openSqlite('better-sqlite3', filename);
+      driver.operations = createDrizzleSqliteOperations(drizzleSqlite(driver.connection));
+    },
+
+    async close() {
+      if (driver.connection) driver.connection.close();
+      driver.connection = driver.operations = null;
+    },
+
+    async createSchema() {
+      driver.connection.exec(sqlite.SCHEMA);
+    },
+
+    // One transaction per seed batch, through the raw connection
+    async seed(rows) {
+      sqlite.insertUsers(driver.connection, rows);
+    },
+
+    rolledBack(fn) {
+      return withRollback(driver.connection, () => fn(driver.operations));
+    }
+  };
+
+  return driver;
+}
+
+// Drizzle on node-postgres driver for the CRUD scenarios, see lib/scenarios.js
+// config: options passed to pg.Pool
+function createDrizzlePgDriver(config) {
+  let pool = null;
+  let db = null;
+
+  const driver = {
+    name: 'Drizzle (pg)',
+    sync: false,
+    operations: null,
+
+    async open() {
+      pool = new Pool(config);
+      db = drizzlePg(pool);
+      driver.operations = createDrizzlePgOperations(db);
+    },
+
+    async close() {
+      if (pool) await pool.end();
+      pool = db = driver.operations = null;
+    },
+
+    async createSchema() {
+      await db.execute(sql`DROP TABLE IF EXISTS users`);
+      await db.execute(sql.raw(pg.SCHEMA));
+    },
+
+    // One multi-row insert per seed batch
+    async seed(rows) {
+      await db.insert(pgUsers).values(rows);
+    },
+
+    // Drizzle rolls a transaction back by throwing from tx.rollback()
+    async rolledBack(fn) {
+      let result;
+      try {
+        await db.transaction(async tx => {
+          result = await fn(createDrizzlePgOperations(tx));
+          tx.rollback();
+        });
+      } catch (error) {
+        if (!(error instanceof TransactionRollbackError)) throw error;
+      }
+      return result;
+    }
+  };
+
+  return driver;
+}
+
+module.exports = {
+  createDrizzleSqliteOperations,
+  createDrizzlePgOperations,
+  createDrizzleSqliteDriver,
+  createDrizzlePgDriver
+};
@@ -0,0 +1,168 @@
+const Knex = require('knex');
+const fs = require('fs');
+const { withRollback } = require('../state');
+
+// Knex compiles multi-row SQLite inserts into a compound SELECT, which SQLite
+// limits to 500 terms, so SQLite seed batches are split into smaller inserts
+const SQLITE_INSERT_BATCH_SIZE = 400;
+
+// Rows inserted by a Knex insert: pg resolves to a result with rowCount,
+// SQLite only to the last inserted id
+function insertedCount(result, rows) {
+  return result && typeof result.rowCount === 'number' ? result.rowCount : rows;
+}
+
+// Unexecuted Knex query builders of the scenario operations
+function createKnexQueries(db) {
+  return {
+    insertOne: user => db('users').insert(user),
+    insertBatch: users => db('users').insert(users),
+    selectAll: limit => db('users').limit(limit).select('*'),
+    selectById: id => db('users').where('id', id).first(),
+    selectByAge: (age, limit) => db('users').where('age', '>', age).limit(limit).select('*'),
+    updateAge: (id, age) => db('users').where('id', id).update({ age }),
+    deleteById: id => db('users').where('id', id).delete(),
+    ageStats: age => db('users')
+      .where('age', '>', age)
+      .select(
+        db.raw('COUNT(*) as count'),
+        db.raw('AVG(age) as average_age'),
+        db.raw('MIN(age) as min_age'),
+        db.raw('MAX(age) as max_age')
+      ),
+    lastUsers: count => db('users').select('name', 'email', 'age').orderBy('id', 'desc').limit(count)
+  };
+}
+
+// Scenario operations on a Knex instance or transaction
+function createKnexOperations(db) {
+  const queries = createKnexQueries(db);
+  return {
+    ...queries,
+    insertOne: user => queries.insertOne(user).then(result => insertedCount(result, 1)),
+    insertBatch: users => queries.insertBatch(users).then(result => insertedCount(result, users.length)),
+    ageStats: age => queries.ageStats(age).then(rows => rows[0])
+  };
+}
+
+// Phase profiling hooks, see lib/profile.js: build the query without running it, and compile it
+function createKnexProfile(db) {
+  return {
+    build: createKnexQueries(db),
+    compile: query => query.toSQL()
+  };
+}
+
+function createUsersTable(knex) {
+  return knex.schema.createTable('users', table => {
+    table.increments('id');
+    table.string('name').notNullable();
+    table.string('email').notNullable();
+    table.integer('age');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+}
+
+// Knex.js on better-sqlite3 driver for the CRUD scenarios, see lib/scenarios.js
+function createKnexSqliteDriver({ filename }) {
+  let knex = null;
+
+  const driver = {
+    name: 'Knex.js',
+    sync: false,
+    connection: null,
+    operations: null,
+    profile: null,
+
+    // Remove a stale database file and open a fresh connection
+    async open() {
+      if (fs.existsSync(filename)) fs.unlinkSync(filename);
+      knex = Knex({
+        client: 'better-sqlite3',
+        connection: { filename },
+        useNullAsDefault: true
+      });
+      driver.operations = createKnexOperations(knex);
+      driver.profile = createKnexProfile(knex);
+
+      // Knex's better-sqlite3 pool holds a single connection, so this is the one its queries run on
+      driver.connection = await knex.client.acquireConnection();
+      await knex.client.releaseConnection(driver.connection);
+    },
+
+    async close() {
+      if (knex) await knex.destroy();
+      knex = driver.connection = driver.operations = driver.profile = null;
+    },
+
+    createSchema() {
+      return createUsersTable(knex);
+    },
+
+    // One transaction per seed batch
+    seed(users) {
+      return knex.transaction(async trx => {
+        for (let i = 0; i < users.length; i += SQLITE_INSERT_BATCH_SIZE) {
+          await trx('users').insert(users.slice(i, i + SQLITE_INSERT_BATCH_SIZE));
+        }
+      });
+    },
+
+    rolledBack(fn) {
+      return withRollback(driver.connection, () => fn(driver.operations));
+    }
+  };
+
+  return driver;
+}
+
+// Knex.js on pg driver for the CRUD scenarios, see lib/scenarios.js
+// config: { connection, pool } passed to Knex
+function createKnexPgDriver(config) {
+  let knex = null;
+
+  const driver = {
+    name: 'Knex.js (pg)',
+    sync: false,
+    operations: null,
+    profile: null,
+
+    async open() {
+      knex = Knex({ client: 'pg', ...config });
+      driver.operations = createKnexOperations(knex);
+      driver.profile = createKnexProfile(knex);
+    },
+
+    async close() {
+      if (knex) await knex.destroy();
+      knex = driver.operations = driver.profile = null;
+    },
+
+    async createSchema() {
+      await knex.schema.dropTableIfExists('users');
+      await createUsersTable(knex);
+    },
+
+    // One multi-row insert per seed batch
+    seed(users) {
+      return knex('users').insert(users);
+    },
+
+    async rolledBack(fn) {
+      const trx = await knex.transaction();
+      try {
+        return await fn(createKnexOperations(trx));
+      } finally {
+        await trx.rollback();
+      }
+    }
+  };
+
+  return driver;
+}
+
+module.exports = {
+  createKnexOperations,
+  createKnexSqliteDriver,
+  createKnexPgDriver
+};
@@ -0,0 +1,122 @@
+const { Kysely, SqliteDialect, PostgresDialect, sql } = require('kysely');
+const { Pool } = require('pg');
+const fs = require('fs');
+const { withRollback } = require('../state');
+const sqlite = require('./sqlite');
+const pg = require('./pg');
+
+// Scenario operations on a Kysely instance or transaction.
+// Kysely reports affected rows as bigints.
+function createKyselyOperations(db) {
+  return {
+    insertOne: async user => Number((await db.insertInto('users').values(user).executeTakeFirst()).numInsertedOrUpdatedRows),
+    insertBatch: async users => Number((await db.insertInto('users').values(users).executeTakeFirst()).numInsertedOrUpdatedRows),
+    selectAll: limit => db.selectFrom('users').selectAll().limit(limit).execute(),
+    selectById: id => db.selectFrom('users').selectAll().where('id', '=', id).executeTakeFirst(),
+    selectByAge: (age, limit) => db.selectFrom('users').selectAll().where('age', '>', age).limit(limit).execute(),
+    updateAge: async (id, age) => Number((await db.updateTable('users').set({ age }).where('id', '=', id).executeTakeFirst()).numUpdatedRows),
+    deleteById: async id => Number((await db.deleteFrom('users').where('id', '=', id).executeTakeFirst()).numDeletedRows),
+    ageStats: age => db.selectFrom('users')
+      .where('age', '>', age)
+      .select(eb => [
+        eb.fn.countAll().as('count'),
+        eb.fn.avg('age').as('average_age'),
+        eb.fn.min('age').as('min_age'),
+        eb.fn.max('age').as('max_age')
+      ])
+      .executeTakeFirst(),
+    lastUsers: count => db.selectFrom('users').select(['name', 'email', 'age']).orderBy('id', 'desc').limit(count).execute()
+  };
+}
+
+// Kysely on better-sqlite3 driver for the CRUD scenarios, see lib/scenarios.js
+function createKyselySqliteDriver({ filename }) {
+  let db = null;
+
+  const driver = {
+    name: 'Kysely',
+    sync: false,
+    connection: null,
+    operations: null,
+
+    // Remove a stale database file and open a fresh connection. Kysely's SQLite
+    // dialect runs every query on this one connection.
+    async open() {
+      if (fs.existsSync(filename)) fs.unlinkSync(filename);
+      driver.connection = sqlite.openSqlite('better-sqlite3', filename);
+      db = new Kysely({ dialect: new SqliteDialect({ database: driver.connection }) });
+      driver.operations = createKyselyOperations(db);
+    },
+
+    // Destroying Kysely also closes the connection
+    async close() {
+      if (db) await db.destroy();
+      db = driver.connection = driver.operations = null;
+    },
+
+    async createSchema() {
+      driver.connection.exec(sqlite.SCHEMA);
+    },
+
+    // One transaction per seed batch, through the raw connection
+    async seed(users) {
+      sqlite.insertUsers(driver.connection, users);
+    },
+
+    rolledBack(fn) {
+      return withRollback(driver.connection, () => fn(driver.operations));
+    }
+  };
+
+  return driver;
+}
+
+// Kysely on pg driver for the CRUD scenarios, see lib/scenarios.js
+// config: options passed to pg.Pool
+function createKyselyPgDriver(config) {
+  let db = null;
+
+  const driver = {
+    name: 'Kysely (pg)',
+    sync: false,
+    operations: null,
+
+    async open() {
+      db = new Kysely({ dialect: new PostgresDialect({ pool: new Pool(config) }) });
+      driver.operations = createKyselyOperations(db);
+    },
+
+    // Destroying Kysely also ends the pool
+    async close() {
+      if (db) await db.destroy();
+      db = driver.operations = null;
+    },
+
+    async createSchema() {
+      await sql`DROP TABLE IF EXISTS users`.execute(db);
+      await sql.raw(pg.SCHEMA).execute(db);
+    },
+
+    // One multi-row insert per seed batch
+    async seed(users) {
+      await db.insertInto('users').values(users).execute();
+    },
+
+    async rolledBack(fn) {
+      const trx = await db.startTransaction().execute();
+      try {
+        return await fn(createKyselyOperations(trx));
+      } finally {
+        await trx.rollback().execute();
+      }
+    }
+  };
+
+  return driver;
+}
+
+module.exports = {
+  createKyselyOperations,
+  createKyselySqliteDriver,
+  createKyselyPgDriver
+};
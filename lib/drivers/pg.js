@@ -0,0 +1,127 @@
+const { Pool } = require('pg');
+
+const SCHEMA = `
+  CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    age INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Run fn(client) in a transaction on a dedicated client from the pool
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Scenario operations on a pool or client. transaction(fn) runs fn(client) in a transaction.
+function createPgOperations(db, transaction) {
+  return {
+    insertOne: async user => (await db.query(
+      'INSERT INTO users (name, email, age) VALUES ($1, $2, $3)',
+      [user.name, user.email, user.age]
+    )).rowCount,
+    insertBatch: users => transaction(async client => {
+      let changes = 0;
+      for (const user of users) {
+        changes += (await client.query(
+          'INSERT INTO users (name, email, age) VALUES ($1, $2, $3)',
+          [user.name, user.email, user.age]
+        )).rowCount;
+      }
+      return changes;
+    }),
+    selectAll: async limit => (await db.query('SELECT * FROM users LIMIT $1', [limit])).rows,
+    selectById: async id => (await db.query('SELECT * FROM users WHERE id = $1', [id])).rows[0],
+    selectByAge: async (age, limit) => (await db.query('SELECT * FROM users WHERE age > $1 LIMIT $2', [age, limit])).rows,
+    updateAge: async (id, age) => (await db.query('UPDATE users SET age = $1 WHERE id = $2', [age, id])).rowCount,
+    deleteById: async id => (await db.query('DELETE FROM users WHERE id = $1', [id])).rowCount,
+    ageStats: async age => (await db.query(`
+      SELECT
+        COUNT(*) as count,
+        AVG(age) as average_age,
+        MIN(age) as min_age,
+        MAX(age) as max_age
+      FROM users
+      WHERE age > $1
+    `, [age])).rows[0],
+    lastUsers: async count => (await db.query('SELECT name, email, age FROM users ORDER BY id DESC LIMIT $1', [count])).rows
+  };
+}
+
+// One multi-row insert of seed rows (3 parameters per row, pg allows 65535)
+function seedInsert(users) {
+  const placeholders = users.map((_, i) => `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3})`);
+  return {
+    text: `INSERT INTO users (name, email, age) VALUES ${placeholders.join(', ')}`,
+    values: users.flatMap(user => [user.name, user.email, user.age])
+  };
+}
+
+// Native pg driver for the CRUD scenarios, see lib/scenarios.js
+// config: options passed to pg.Pool
+function createPgDriver(config) {
+  let pool = null;
+
+  const driver = {
+    name: 'Native pg',
+    sync: false,
+    labels: { insertBatch: 'Batch Insert (Transaction)' },
+    pool: null,
+    operations: null,
+
+    async open() {
+      pool = driver.pool = new Pool(config);
+      driver.operations = createPgOperations(pool, fn => inTransaction(pool, fn));
+    },
+
+    async close() {
+      if (pool) await pool.end();
+      pool = driver.pool = driver.operations = null;
+    },
+
+    async createSchema() {
+      await pool.query('DROP TABLE IF EXISTS users');
+      await pool.query(SCHEMA);
+    },
+
+    async seed(users) {
+      const { text, values } = seedInsert(users);
+      await pool.query(text, values);
+    },
+
+    // The client is already in a transaction, so batch inserts run on it directly
+    async rolledBack(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        return await fn(createPgOperations(client, transactionFn => transactionFn(client)));
+      } finally {
+        await client.query('ROLLBACK');
+        client.release();
+      }
+    }
+  };
+
+  return driver;
+}
+
+module.exports = {
+  SCHEMA,
+  inTransaction,
+  createPgOperations,
+  seedInsert,
+  createPgDriver
+};
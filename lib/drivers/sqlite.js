@@ -0,0 +1,217 @@
+// Pieces shared by the SQLite drivers. Everything here works on both
+// better-sqlite3 connections and node:sqlite DatabaseSync connections.
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const { withRollback } = require('../state');
+
+const SCHEMA = `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    age INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// The built-in node:sqlite module, or null on Node.js versions without it.
+// It ships with Node.js 22.5+, behind --experimental-sqlite before 22.13.
+function loadNodeSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Why node:sqlite cannot be used, or null when it can
+function nodeSqliteUnavailableReason() {
+  if (loadNodeSqlite()) return null;
+  return `node:sqlite is not available in Node.js ${process.version} ` +
+    '(it needs Node.js 22.5 or later, and the --experimental-sqlite flag before 22.13)';
+}
+
+// SQLite libraries a suite can open its connections with, and their driver names
+const DRIVER_NAMES = {
+  'better-sqlite3': 'Native better-sqlite3',
+  'node:sqlite': 'node:sqlite'
+};
+const SQLITE_LIBRARIES = Object.keys(DRIVER_NAMES);
+const DEFAULT_SQLITE_LIBRARY = 'better-sqlite3';
+
+function validateSqliteLibrary(library) {
+  if (!SQLITE_LIBRARIES.includes(library)) {
+    throw new Error(`Unknown SQLite library "${library}", expected one of: ${SQLITE_LIBRARIES.join(', ')}`);
+  }
+  return library;
+}
+
+// Open a connection with the given library; node:sqlite must be available, see nodeSqliteUnavailableReason()
+function openSqlite(library, filename) {
+  if (library === 'node:sqlite') {
+    const { DatabaseSync } = loadNodeSqlite();
+    return new DatabaseSync(filename);
+  }
+  return new Database(filename);
+}
+
+// Wrap fn in a transaction: better-sqlite3's own wrapper where there is one,
+// otherwise a savepoint, which also nests inside an open transaction (node:sqlite
+// has no transaction helper)
+function createTransaction(connection, fn) {
+  if (typeof connection.transaction === 'function') return connection.transaction(fn);
+  return (...args) => {
+    connection.exec('SAVEPOINT bench_transaction');
+    try {
+      const result = fn(...args);
+      connection.exec('RELEASE bench_transaction');
+      return result;
+    } catch (error) {
+      connection.exec('ROLLBACK TO bench_transaction; RELEASE bench_transaction');
+      throw error;
+    }
+  };
+}
+
+// PRAGMAs that must be set before the others: page_size only takes effect before
+// the database has content and cannot change once journal_mode is WAL
+const EARLY_PRAGMAS = ['page_size', 'journal_mode'];
+
+// Set PRAGMAs on a connection, e.g. { synchronous: 'NORMAL', cache_size: -64000 }.
+// Names and values are interpolated into SQL, so they must be validated by the caller.
+function applyPragmas(connection, pragmas) {
+  const names = Object.keys(pragmas).sort((a, b) => {
+    const rank = name => (EARLY_PRAGMAS.includes(name) ? EARLY_PRAGMAS.indexOf(name) : EARLY_PRAGMAS.length);
+    return rank(a) - rank(b);
+  });
+  for (const name of names) {
+    connection.exec(`PRAGMA ${name} = ${pragmas[name]}`);
+  }
+}
+
+// Remove a database file including its WAL side files
+function removeDatabase(filename) {
+  for (const file of [filename, `${filename}-wal`, `${filename}-shm`]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+// Whether an error is SQLITE_BUSY (or one of its extended codes): the database
+// stayed locked by another connection for longer than the busy timeout.
+// better-sqlite3 names the code, node:sqlite reports the numeric errcode.
+function isBusyError(error) {
+  if (!error) return false;
+  if (typeof error.code === 'string' && error.code.startsWith('SQLITE_BUSY')) return true;
+  return typeof error.errcode === 'number' && (error.errcode & 0xff) === 5;
+}
+
+// Insert users through a raw SQLite connection in a single transaction
+function insertUsers(connection, users) {
+  const insert = connection.prepare('INSERT INTO users (name, email, age) VALUES (?, ?, ?)');
+  createTransaction(connection, () => {
+    for (const user of users) {
+      insert.run(user.name, user.email, user.age);
+    }
+  })();
+}
+
+// Scenario operations on a raw SQLite connection, see lib/scenarios.js.
+// statement(sql) returns a (cached) prepared statement.
+function createSqliteOperations(connection, statement) {
+  const insertSql = 'INSERT INTO users (name, email, age) VALUES (?, ?, ?)';
+  return {
+    insertOne: user => statement(insertSql).run(user.name, user.email, user.age).changes,
+    insertBatch: users => {
+      const insert = statement(insertSql);
+      let changes = 0;
+      const transaction = createTransaction(connection, rows => {
+        for (const user of rows) {
+          changes += insert.run(user.name, user.email, user.age).changes;
+        }
+      });
+      transaction(users);
+      return changes;
+    },
+    selectAll: limit => statement('SELECT * FROM users LIMIT ?').all(limit),
+    selectById: id => statement('SELECT * FROM users WHERE id = ?').get(id),
+    selectByAge: (age, limit) => statement('SELECT * FROM users WHERE age > ? LIMIT ?').all(age, limit),
+    updateAge: (id, age) => statement('UPDATE users SET age = ? WHERE id = ?').run(age, id).changes,
+    deleteById: id => statement('DELETE FROM users WHERE id = ?').run(id).changes,
+    ageStats: age => statement(`
+      SELECT
+        COUNT(*) as count,
+        AVG(age) as average_age,
+        MIN(age) as min_age,
+        MAX(age) as max_age
+      FROM users
+      WHERE age > ?
+    `).get(age),
+    lastUsers: count => statement('SELECT name, email, age FROM users ORDER BY id DESC LIMIT ?').all(count)
+  };
+}
+
+// Driver for the CRUD scenarios (see lib/scenarios.js) on a raw better-sqlite3 or
+// node:sqlite connection. node:sqlite must be available, see nodeSqliteUnavailableReason().
+function createSqliteDriver(library, { filename }) {
+  let db = null;
+  const statements = new Map();
+
+  // Prepare every statement once, on first use
+  const statement = sql => {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  };
+
+  const driver = {
+    name: DRIVER_NAMES[validateSqliteLibrary(library)],
+    sync: true,
+    labels: { insertBatch: 'Batch Insert (Transaction)' },
+    connection: null,
+    operations: null,
+
+    // Remove a stale database file and open a fresh connection
+    async open() {
+      if (fs.existsSync(filename)) fs.unlinkSync(filename);
+      db = driver.connection = openSqlite(library, filename);
+      driver.operations = createSqliteOperations(db, statement);
+    },
+
+    async close() {
+      if (db) db.close();
+      db = driver.connection = driver.operations = null;
+      statements.clear();
+    },
+
+    async createSchema() {
+      db.exec(SCHEMA);
+    },
+
+    // One transaction per seed batch
+    async seed(users) {
+      insertUsers(db, users);
+    },
+
+    rolledBack(fn) {
+      return withRollback(db, () => fn(driver.operations));
+    }
+  };
+
+  return driver;
+}
+
+module.exports = {
+  SCHEMA,
+  SQLITE_LIBRARIES,
+  DEFAULT_SQLITE_LIBRARY,
+  validateSqliteLibrary,
+  loadNodeSqlite,
+  nodeSqliteUnavailableReason,
+  openSqlite,
+  createTransaction,
+  applyPragmas,
+  removeDatabase,
+  isBusyError,
+  insertUsers,
+  createSqliteOperations,
+  createSqliteDriver
+};
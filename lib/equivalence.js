@@ -0,0 +1,117 @@
+// Result equivalence checks run before timing. Every check executes the same
+// operation once per driver, on identical data and with identical arguments,
+// and the outputs must match; otherwise the comparison would be meaningless.
+//
+// A check looks like:
+//   {
+//     operation: 'Select By Id',
+//     cases: {
+//       'Native better-sqlite3 - Select By Id': () => ...,
+//       'Knex.js - Select By Id': async () => ...
+//     }
+//   }
+// Each function returns (or resolves to) a comparable output: rows, an aggregate
+// row, affected row counts or a table fingerprint.
+
+// Columns whose values legitimately differ between databases, e.g. default timestamps
+const IGNORED_COLUMNS = ['created_at'];
+
+// Relative tolerance for floating point values such as AVG()
+const FLOAT_TOLERANCE = 1e-9;
+
+// Normalize an output so that equivalent results from different drivers compare equal:
+// ignored columns are dropped, numeric strings (pg returns COUNT/AVG as strings)
+// become numbers and row arrays are sorted, so row sets compare regardless of order
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value
+      .map(normalize)
+      .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+  }
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      if (!IGNORED_COLUMNS.includes(key)) normalized[key] = normalize(value[key]);
+    }
+    return normalized;
+  }
+  if (typeof value === 'bigint') return Number(value);
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value === undefined ? null : value;
+}
+
+function equal(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a === b || Math.abs(a - b) <= FLOAT_TOLERANCE * Math.max(Math.abs(a), Math.abs(b));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equal(item, b[i]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equal(a[key], b[key]));
+  }
+  return a === b;
+}
+
+// Short, single-line description of an output for mismatch messages
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+}
+
+// Run the checks whose cases are present in `caseNames`. The first present case of
+// a check is the reference: cases that fail or differ from it are refused, and the
+// reference itself is refused when it fails or nothing is left to compare it with.
+// Returns the names of the cases that must not be benchmarked.
+async function runEquivalenceChecks(checks, caseNames) {
+  const refused = [];
+  console.log('\nChecking that paired cases return equivalent results...');
+
+  for (const check of checks) {
+    const names = Object.keys(check.cases).filter(name => caseNames.has(name));
+    if (names.length < 2) continue;
+
+    const outputs = new Map();
+    const failures = new Map();
+    for (const name of names) {
+      try {
+        outputs.set(name, normalize(await check.cases[name]()));
+      } catch (error) {
+        failures.set(name, `${name} failed: ${error.message}`);
+      }
+    }
+
+    const [reference, ...others] = names;
+    if (!failures.has(reference)) {
+      for (const name of others) {
+        if (!failures.has(name) && !equal(outputs.get(reference), outputs.get(name))) {
+          failures.set(name, `${reference} returned ${describe(outputs.get(reference))} but ${name} returned ${describe(outputs.get(name))}`);
+        }
+      }
+    }
+
+    if (failures.size === 0) {
+      console.log(`  [ok] ${check.operation}`);
+      continue;
+    }
+
+    const refusedHere = failures.has(reference) || failures.size === others.length
+      ? names
+      : [...failures.keys()];
+    for (const failure of failures.values()) {
+      console.error(`  [MISMATCH] ${check.operation}: ${failure}`);
+    }
+    console.error(`  Refusing to benchmark: ${refusedHere.join(', ')}`);
+    refused.push(...refusedHere);
+  }
+
+  return refused;
+}
+
+module.exports = {
+  IGNORED_COLUMNS,
+  normalize,
+  equal,
+  runEquivalenceChecks
+};
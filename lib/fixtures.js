@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { generateUser } = require('./scenarios');
+const { getSeed, createRandom } = require('./random');
+
+// Dataset fixtures: the seed rows of the CRUD suites generated once ("bench
+// fixture") and loaded into every driver's database (--fixture), so that runs on
+// different machines or days seed exactly the same rows. A fixture is a JSON file:
+//   { version, seed, createdAt, tables: { users: { columns: [...], rows: [[...], ...] } } }
+// Rows are inserted in file order, so the ids are 1..n as with generated seed rows.
+
+const FIXTURE_VERSION = 1;
+
+const USER_COLUMNS = ['name', 'email', 'age'];
+
+// Fixtures loaded by this process, per resolved file name
+const loaded = new Map();
+
+// Generate a fixture of numRecords users from the current seed (lib/random.js).
+// The rows equal the seed rows the CRUD suites generate with the same seed.
+function createFixture(numRecords) {
+  const random = createRandom('users');
+  const rows = [];
+  for (let i = 0; i < numRecords; i++) {
+    const user = generateUser(i, random);
+    rows.push(USER_COLUMNS.map(column => user[column]));
+  }
+  return {
+    version: FIXTURE_VERSION,
+    seed: getSeed(),
+    createdAt: new Date().toISOString(),
+    tables: { users: { columns: USER_COLUMNS, rows } }
+  };
+}
+
+function writeFixture(file, fixture) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture) + '\n');
+  return file;
+}
+
+// Read a fixture written by writeFixture(); repeated loads of one file are cached
+function loadFixture(file) {
+  const resolved = path.resolve(file);
+  if (!loaded.has(resolved)) {
+    const fixture = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    if (fixture.version !== FIXTURE_VERSION || !fixture.tables || !fixture.tables.users) {
+      throw new Error(`${file} is not a benchmark fixture (version ${FIXTURE_VERSION})`);
+    }
+    const { columns } = fixture.tables.users;
+    const missing = USER_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) throw new Error(`${file}: users lack the column(s) ${missing.join(', ')}`);
+    loaded.set(resolved, fixture);
+  }
+  return loaded.get(resolved);
+}
+
+// Check that a fixture file loads, for command line validation; returns the file
+function validateFixture(file) {
+  loadFixture(file);
+  return file;
+}
+
+// length users of a fixture from row start on, as { name, email, age } objects;
+// fails when the fixture holds fewer rows
+function fixtureUsers(fixture, start, length) {
+  const { columns, rows } = fixture.tables.users;
+  if (start + length > rows.length) {
+    throw new Error(`The fixture holds ${rows.length.toLocaleString()} users, ${(start + length).toLocaleString()} are needed`);
+  }
+  return rows.slice(start, start + length).map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+}
+
+// Number of users in a fixture
+function fixtureSize(fixture) {
+  return fixture.tables.users.rows.length;
+}
+
+module.exports = {
+  createFixture,
+  writeFixture,
+  loadFixture,
+  validateFixture,
+  fixtureUsers,
+  fixtureSize
+};
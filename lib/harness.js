@@ -0,0 +1,251 @@
+const Benchmark = require('benchmark');
+const { createHistogram, recordLatency, summarizeHistogram, formatSummary } = require('./latency');
+const { STATE_CASE_OPTIONS } = require('./state');
+
+// Counters of the case whose fn is currently running, see countRows() and countChanges()
+let currentCounters = null;
+
+// Check whether a benchmark case name matches any of the requested filters.
+// Filters are case-insensitive substrings, so "Select By Id" picks both the
+// native and the Knex.js variant of that case.
+function matchesFilter(name, filter) {
+  if (!filter || filter.length === 0) return true;
+  const lowerName = name.toLowerCase();
+  return filter.some(pattern => lowerName.includes(pattern.toLowerCase()));
+}
+
+function createCounters() {
+  // observed: number of countRows()/countChanges() calls, so that cases which
+  // never report anything are told apart from cases that saw zero rows
+  return { calls: 0, changes: 0, rows: 0, observed: 0 };
+}
+
+// Make a case's fn count its calls and expose its counters to countRows()/countChanges().
+// Benchmark.js runs one case at a time and waits for deferred cases to resolve,
+// so the counters stay current until the case's query has finished.
+function withCounters(caseOptions, counters) {
+  const fn = caseOptions.fn;
+  return {
+    ...caseOptions,
+    fn: function(deferred) {
+      currentCounters = counters;
+      counters.calls++;
+      return fn.call(this, deferred);
+    }
+  };
+}
+
+// Time every call of a case's fn into histogram, see lib/latency.js. A deferred
+// call lasts until it resolves its deferred, so the time a promise-based driver
+// spends waiting for its query counts too.
+function withLatency(caseOptions, histogram) {
+  const fn = caseOptions.fn;
+  return {
+    ...caseOptions,
+    fn: caseOptions.defer
+      ? function(deferred) {
+        const start = process.hrtime.bigint();
+        // resolve() starts the next call right away, so it is restored before it runs
+        const resolve = deferred.resolve;
+        deferred.resolve = function() {
+          recordLatency(histogram, Number(process.hrtime.bigint() - start) / 1e9);
+          deferred.resolve = resolve;
+          return resolve.apply(this, arguments);
+        };
+        return fn.call(this, deferred);
+      }
+      : function() {
+        const start = process.hrtime.bigint();
+        try {
+          return fn.apply(this, arguments);
+        } finally {
+          recordLatency(histogram, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+      }
+  };
+}
+
+// Record the rows returned by a query: an array of rows, a single row or nothing
+function countRows(result) {
+  if (currentCounters) {
+    currentCounters.observed++;
+    if (Array.isArray(result)) currentCounters.rows += result.length;
+    else if (result !== undefined && result !== null) currentCounters.rows += 1;
+  }
+  return result;
+}
+
+// Record the rows changed by a write: a count, a better-sqlite3 run() result
+// ({ changes }) or a pg result ({ rowCount })
+function countChanges(result) {
+  if (currentCounters) {
+    currentCounters.observed++;
+    if (typeof result === 'number') currentCounters.changes += result;
+    else if (result && typeof result.changes === 'number') currentCounters.changes += result.changes;
+    else if (result && typeof result.rowCount === 'number') currentCounters.changes += result.rowCount;
+  }
+  return result;
+}
+
+// Create a benchmark suite that honours the run options:
+// - filter: only cases whose name matches one of the filters are added
+// - minSamples / maxTime: override the per-case defaults
+// - stateManager: wraps every case to keep the table state stable, see lib/state.js
+// Every case gets counters for its calls, changed rows and returned rows in suite.counters,
+// and a histogram of the latency of its calls in suite.latencies.
+function createSuite(name, options = {}) {
+  const suite = new Benchmark.Suite(name);
+  const add = suite.add;
+  suite.counters = new Map();
+  suite.latencies = new Map();
+
+  suite.add = function(caseName, caseOptions = {}) {
+    if (!matchesFilter(caseName, options.filter)) return suite;
+
+    const overrides = {};
+    if (options.minSamples != null) overrides.minSamples = options.minSamples;
+    if (options.maxTime != null) overrides.maxTime = options.maxTime;
+
+    let wrapped = { ...caseOptions, ...overrides };
+    if (options.stateManager) {
+      wrapped = options.stateManager.wrapCase(caseName, wrapped);
+    } else {
+      for (const option of STATE_CASE_OPTIONS) delete wrapped[option];
+    }
+
+    const counters = createCounters();
+    suite.counters.set(caseName, counters);
+    const histogram = createHistogram();
+    suite.latencies.set(caseName, histogram);
+    return add.call(suite, caseName, withLatency(withCounters(wrapped, counters), histogram));
+  };
+
+  return suite;
+}
+
+// Names of all cases added to the given suites
+function caseNames(suites) {
+  const names = new Set();
+  for (const suite of suites) suite.forEach(benchmark => names.add(benchmark.name));
+  return names;
+}
+
+// Remove the named cases from the given suites, e.g. cases refused by an equivalence check
+function removeCases(suites, names) {
+  for (const suite of suites) {
+    for (let i = suite.length - 1; i >= 0; i--) {
+      if (names.includes(suite[i].name)) {
+        suite.counters.delete(suite[i].name);
+        if (suite.latencies) suite.latencies.delete(suite[i].name);
+        suite.splice(i, 1);
+      }
+    }
+  }
+}
+
+// Format the average rows changed / returned per call of a case, e.g. "1.00 changed, 0.00 returned per call"
+function formatCounters(counters) {
+  if (!counters || counters.calls === 0 || counters.observed === 0) return '';
+  const changed = (counters.changes / counters.calls).toFixed(2);
+  const returned = (counters.rows / counters.calls).toFixed(2);
+  return `${changed} changed, ${returned} returned per call`;
+}
+
+// Helper function to properly benchmark async operations
+function benchmarkAsync(fn) {
+  return {
+    defer: true,
+    fn: function(deferred) {
+      Promise.resolve(fn())
+        .then(() => deferred.resolve())
+        .catch(err => {
+          console.error('Benchmark error:', err);
+          deferred.resolve();
+        });
+    }
+  };
+}
+
+// Control variants that run a synchronous fn through the same kinds of async
+// plumbing as promise-based drivers, so that the cost of Benchmark.js deferred
+// cases and promise resolution can be told apart from the cost of the driver:
+// - benchmarkAsync: fn runs synchronously, the deferred resolves on a promise
+// - Promise.resolve: fn runs in a microtask of an already resolved promise
+// - setImmediate: fn runs in a macrotask, like a callback after I/O
+const ASYNC_CONTROLS = {
+  benchmarkAsync,
+  'Promise.resolve': fn => ({
+    defer: true,
+    fn: function(deferred) {
+      Promise.resolve()
+        .then(fn)
+        .then(() => deferred.resolve(), err => {
+          console.error('Benchmark error:', err);
+          deferred.resolve();
+        });
+    }
+  }),
+  setImmediate: fn => ({
+    defer: true,
+    fn: function(deferred) {
+      setImmediate(() => {
+        try {
+          fn();
+        } catch (err) {
+          console.error('Benchmark error:', err);
+        }
+        deferred.resolve();
+      });
+    }
+  })
+};
+
+// Display benchmark results
+function displayResults(suite) {
+  console.log(`\n${suite.name}:`);
+  suite.forEach(benchmark => {
+    const counts = formatCounters(suite.counters && suite.counters.get(benchmark.name));
+    console.log(`  ${benchmark.name}: ${Math.round(benchmark.hz).toLocaleString()} ops/sec ±${benchmark.stats.rme.toFixed(2)}% (${benchmark.stats.sample.length} runs sampled)${counts ? ` [${counts}]` : ''}`);
+    const histogram = suite.latencies && suite.latencies.get(benchmark.name);
+    if (histogram && histogram.count > 0) {
+      console.log(`    latency: ${formatSummary(summarizeHistogram(histogram))}`);
+    }
+    if (benchmark.error) {
+      console.error(`  Error: ${benchmark.error}`);
+    }
+  });
+}
+
+// Run a suite and resolve once it has completed and its results are displayed.
+// Suites left empty by the case filter are skipped.
+function runSuite(suite) {
+  if (suite.length === 0) {
+    console.log(`\n${suite.name}: no cases match the filter, skipping`);
+    return Promise.resolve(suite);
+  }
+
+  return new Promise(resolve => {
+    suite
+      .on('error', function(event) {
+        console.error(`Error in ${suite.name} - ${event.target.name}:`, event.target.error && event.target.error.message);
+      })
+      .on('complete', function() {
+        displayResults(this);
+        resolve(this);
+      })
+      .run({ async: true });
+  });
+}
+
+module.exports = {
+  matchesFilter,
+  createSuite,
+  countRows,
+  countChanges,
+  caseNames,
+  removeCases,
+  benchmarkAsync,
+  ASYNC_CONTROLS,
+  displayResults,
+  runSuite
+};
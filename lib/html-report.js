@@ -0,0 +1,210 @@
+const { parseCaseName } = require('./report');
+const { percentile } = require('./stats');
+const { groupLabel } = require('./results');
+
+// Human readable titles for the suites run by benchmark.js
+const SUITE_TITLES = {
+  sqlite: 'SQLite CRUD: native better-sqlite3 vs Knex.js, Kysely, Drizzle and node:sqlite',
+  wal: 'SQLite journal modes: default vs WAL',
+  append: 'File append: async vs sync',
+  postgres: 'PostgreSQL CRUD: native pg vs Knex.js, Kysely and Drizzle',
+  bulk: 'PostgreSQL bulk ingest: per-row INSERT vs multi-row VALUES, UNNEST, COPY and Knex.js batchInsert',
+  pool: 'PostgreSQL pool concurrency: native pg vs Knex.js'
+};
+
+const PALETTE = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#edc948', '#b07aa1', '#9c755f'];
+
+// Chart geometry, in SVG user units
+const CHART_WIDTH = 760;
+const LABEL_WIDTH = 300;
+const ROW_HEIGHT = 26;
+const AXIS_HEIGHT = 30;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value) {
+  return Math.round(value).toLocaleString('en-US');
+}
+
+// Format a duration given in seconds with a sensible unit
+function formatDuration(seconds) {
+  if (seconds === 0) return '0';
+  if (seconds >= 1) return `${seconds.toFixed(2)} s`;
+  if (seconds >= 1e-3) return `${(seconds * 1e3).toFixed(2)} ms`;
+  return `${(seconds * 1e6).toFixed(2)} µs`;
+}
+
+// Round an axis maximum up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+  return step * magnitude;
+}
+
+// Assign one colour per driver (the part of the case name before " - ")
+function createColorScale() {
+  const colors = new Map();
+  return driver => {
+    if (!colors.has(driver)) colors.set(driver, PALETTE[colors.size % PALETTE.length]);
+    return colors.get(driver);
+  };
+}
+
+function axisTicks(x, max, top, bottom, format) {
+  const parts = [];
+  for (let i = 0; i <= 4; i++) {
+    const value = (max / 4) * i;
+    const position = x(value);
+    parts.push(`<line x1="${position}" y1="${top}" x2="${position}" y2="${bottom}" class="grid"/>`);
+    parts.push(`<text x="${position}" y="${bottom + 16}" text-anchor="middle" class="tick">${escapeHtml(format(value))}</text>`);
+  }
+  return parts.join('');
+}
+
+// Horizontal bar chart of ops/sec with ±rme error bars
+function renderBarChart(records, colorOf) {
+  const height = records.length * ROW_HEIGHT + AXIS_HEIGHT;
+  const max = niceMax(Math.max(...records.map(record => (record.hz || 0) * (1 + (record.rme || 0) / 100))));
+  const x = value => LABEL_WIDTH + (value / max) * (CHART_WIDTH - LABEL_WIDTH - 20);
+  const bottom = records.length * ROW_HEIGHT;
+
+  const parts = [axisTicks(x, max, 0, bottom, formatNumber)];
+  records.forEach((record, i) => {
+    const y = i * ROW_HEIGHT;
+    parts.push(`<text x="${LABEL_WIDTH - 8}" y="${y + 17}" text-anchor="end" class="label">${escapeHtml(record.name)}</text>`);
+    if (record.error || !record.hz) {
+      parts.push(`<text x="${LABEL_WIDTH + 4}" y="${y + 17}" class="error">failed: ${escapeHtml(record.error || 'no samples')}</text>`);
+      return;
+    }
+    const margin = record.hz * (record.rme || 0) / 100;
+    const low = Math.max(record.hz - margin, 0);
+    const high = record.hz + margin;
+    const color = colorOf(parseCaseName(record.name).driver);
+    parts.push(`<rect x="${LABEL_WIDTH}" y="${y + 4}" width="${x(record.hz) - LABEL_WIDTH}" height="${ROW_HEIGHT - 8}" fill="${color}">` +
+      `<title>${escapeHtml(`${record.name}: ${formatNumber(record.hz)} ops/sec ±${(record.rme || 0).toFixed(2)}%`)}</title></rect>`);
+    const cy = y + ROW_HEIGHT / 2;
+    parts.push(`<line x1="${x(low)}" y1="${cy}" x2="${x(high)}" y2="${cy}" class="whisker"/>`);
+    parts.push(`<line x1="${x(low)}" y1="${cy - 5}" x2="${x(low)}" y2="${cy + 5}" class="whisker"/>`);
+    parts.push(`<line x1="${x(high)}" y1="${cy - 5}" x2="${x(high)}" y2="${cy + 5}" class="whisker"/>`);
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" width="${CHART_WIDTH}" height="${height}" role="img">${parts.join('')}</svg>`;
+}
+
+// Box plot of the recorded per-operation times (min, quartiles, max) with every sample as a dot
+function renderLatencyChart(records, colorOf) {
+  const sampled = records.filter(record => record.sample && record.sample.length > 0);
+  if (sampled.length === 0) return '';
+
+  const height = sampled.length * ROW_HEIGHT + AXIS_HEIGHT;
+  const max = niceMax(Math.max(...sampled.map(record => Math.max(...record.sample))));
+  const x = value => LABEL_WIDTH + (value / max) * (CHART_WIDTH - LABEL_WIDTH - 20);
+  const bottom = sampled.length * ROW_HEIGHT;
+
+  const parts = [axisTicks(x, max, 0, bottom, formatDuration)];
+  sampled.forEach((record, i) => {
+    const y = i * ROW_HEIGHT;
+    const cy = y + ROW_HEIGHT / 2;
+    const color = colorOf(parseCaseName(record.name).driver);
+    const [min, q1, median, q3, maxValue] = [0, 25, 50, 75, 100].map(p => percentile(record.sample, p));
+
+    parts.push(`<text x="${LABEL_WIDTH - 8}" y="${y + 17}" text-anchor="end" class="label">${escapeHtml(record.name)}</text>`);
+    parts.push(`<line x1="${x(min)}" y1="${cy}" x2="${x(maxValue)}" y2="${cy}" class="whisker"/>`);
+    parts.push(`<rect x="${x(q1)}" y="${y + 5}" width="${Math.max(x(q3) - x(q1), 1)}" height="${ROW_HEIGHT - 10}" fill="${color}" fill-opacity="0.35" stroke="${color}">` +
+      `<title>${escapeHtml(`${record.name}: median ${formatDuration(median)}, IQR ${formatDuration(q1)} - ${formatDuration(q3)}, max ${formatDuration(maxValue)}`)}</title></rect>`);
+    parts.push(`<line x1="${x(median)}" y1="${y + 5}" x2="${x(median)}" y2="${y + ROW_HEIGHT - 5}" stroke="${color}" stroke-width="2"/>`);
+    for (const value of record.sample) {
+      parts.push(`<circle cx="${x(value)}" cy="${cy}" r="1.8" fill="${color}" fill-opacity="0.6"/>`);
+    }
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" width="${CHART_WIDTH}" height="${height}" role="img">${parts.join('')}</svg>`;
+}
+
+// Per-operation latency percentiles shown in the tables, see lib/latency.js
+const LATENCY_COLUMNS = [
+  { key: 'p50', label: 'p50' },
+  { key: 'p99', label: 'p99' },
+  { key: 'p999', label: 'p99.9' },
+  { key: 'max', label: 'max' }
+];
+
+function renderTable(records) {
+  const rows = records.map(record => `<tr><td>${escapeHtml(record.name)}</td>` +
+    `<td class="num">${record.hz ? formatNumber(record.hz) : '-'}</td>` +
+    `<td class="num">${record.rme != null && !Number.isNaN(record.rme) ? `±${record.rme.toFixed(2)}%` : '-'}</td>` +
+    `<td class="num">${record.mean ? formatDuration(record.mean) : '-'}</td>` +
+    `<td class="num">${record.samples || 0}</td>` +
+    LATENCY_COLUMNS.map(({ key }) => `<td class="num">${record.latency && record.latency[key] != null ? formatDuration(record.latency[key]) : '-'}</td>`).join('') +
+    `<td>${record.error ? escapeHtml(record.error) : ''}</td></tr>`);
+  return '<table><thead><tr><th>Case</th><th>ops/sec</th><th>rme</th><th>mean time</th><th>samples</th>' +
+    `${LATENCY_COLUMNS.map(({ label }) => `<th>${label}</th>`).join('')}<th>error</th></tr></thead>` +
+    `<tbody>${rows.join('')}</tbody></table>`;
+}
+
+const STYLE = `
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; margin: 2rem auto; max-width: 820px; color: #222; }
+h1 { font-size: 1.6rem; } h2 { margin-top: 2.5rem; border-bottom: 1px solid #ddd; } h3 { margin-top: 1.8rem; }
+h4 { margin: 1rem 0 .3rem; font-size: .9rem; color: #555; font-weight: 600; }
+svg { display: block; max-width: 100%; height: auto; }
+svg .label { font-size: 12px; fill: #222; } svg .tick { font-size: 10px; fill: #666; }
+svg .grid { stroke: #eee; } svg .whisker { stroke: #333; stroke-width: 1.2; } svg .error { font-size: 12px; fill: #c00; }
+table { border-collapse: collapse; font-size: .85rem; margin-top: .8rem; width: 100%; }
+th, td { border-bottom: 1px solid #eee; padding: .25rem .5rem; text-align: left; } td.num { text-align: right; font-variant-numeric: tabular-nums; }
+.meta { color: #666; font-size: .85rem; }
+`;
+
+// Render a self-contained HTML report: inline CSS and SVG only, no scripts or external assets
+function renderHtml(records, options = {}) {
+  const colorOf = createColorScale();
+  const title = options.title || 'Benchmark Report';
+  const sections = [];
+
+  const suites = [...new Set(records.map(record => record.suite))];
+  for (const suite of suites) {
+    const suiteRecords = records.filter(record => record.suite === suite);
+    sections.push(`<h2>${escapeHtml(SUITE_TITLES[suite] || suite)}</h2>`);
+
+    const groups = [...new Set(suiteRecords.map(groupLabel))];
+    for (const group of groups) {
+      const groupRecords = suiteRecords.filter(record => groupLabel(record) === group);
+      sections.push(`<h3>${escapeHtml(group)}</h3>`);
+      sections.push('<h4>Throughput (ops/sec, error bars: ±rme)</h4>');
+      sections.push(renderBarChart(groupRecords, colorOf));
+      const latency = renderLatencyChart(groupRecords, colorOf);
+      if (latency) {
+        sections.push('<h4>Time per operation across samples (box: quartiles, whiskers: min-max, dots: samples)</h4>');
+        sections.push(latency);
+      }
+      sections.push(renderTable(groupRecords));
+    }
+  }
+
+  const sources = (options.sources || []).map(escapeHtml).join(', ');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date().toISOString())}${sources ? ` from ${sources}` : ''}.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  renderHtml
+};
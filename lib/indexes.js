@@ -0,0 +1,80 @@
+const { pairResults, formatGap } = require('./report');
+
+// Declared index sets of the CRUD suites (--indexes). The Select By Condition
+// and Complex Query scenarios filter on age, which has no index, so by default
+// they scan the whole table. A run with several index sets runs the sqlite and
+// postgres suites once per set: its indexes are created after seeding and the
+// table is analyzed, so the planner knows them. Every record is tagged with its
+// set, so the native-vs-query-builder gap can be compared when the database
+// does less work.
+const INDEX_SETS = {
+  none: {
+    description: 'primary key only',
+    sqlite: [],
+    pg: []
+  },
+  age: {
+    description: 'an index on age',
+    sqlite: ['CREATE INDEX users_age ON users (age)'],
+    pg: ['CREATE INDEX users_age ON users (age)']
+  },
+  covering: {
+    description: 'an index on age holding every column, so matching rows are read from the index alone',
+    sqlite: ['CREATE INDEX users_age_covering ON users (age, name, email, created_at)'],
+    pg: ['CREATE INDEX users_age_covering ON users (age) INCLUDE (id, name, email, created_at)']
+  }
+};
+
+// Parse "none,age,covering" into index set names
+function parseIndexSets(value, flag = '--indexes') {
+  const names = value.split(',').map(name => name.trim());
+  for (const name of names) {
+    if (!Object.hasOwn(INDEX_SETS, name)) {
+      throw new Error(`Unknown index set "${name}" for ${flag}, expected one of: ${Object.keys(INDEX_SETS).join(', ')}`);
+    }
+  }
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Index set ${duplicate} is given more than once in ${flag}`);
+  return names;
+}
+
+// Create the indexes of a set for a dialect (sqlite or pg) and analyze the table.
+// exec(sql) runs one statement and may return a promise. pg also vacuums the
+// table, since index-only scans need its visibility map.
+async function applyIndexSet(name, dialect, exec) {
+  for (const sql of INDEX_SETS[name][dialect]) {
+    await exec(sql);
+  }
+  await exec(dialect === 'pg' ? 'VACUUM ANALYZE users' : 'ANALYZE');
+}
+
+// Display how the native-vs-query-builder ratio of every operation changes
+// with the index set. Ratios are native ops/sec divided by the other driver's.
+function displayIndexReport(records) {
+  const pairs = pairResults(records);
+  const sets = [...new Set(records.map(record => record.indexes))];
+  const rows = new Map();
+
+  for (const pair of pairs) {
+    const key = `${pair.suite}: ${pair.nativeDriver} vs ${pair.contenderDriver} - ${pair.operation}`;
+    if (!rows.has(key)) rows.set(key, new Map());
+    rows.get(key).set(pair.indexes, formatGap(pair));
+  }
+  if (rows.size === 0) return;
+
+  const labelWidth = Math.max(...[...rows.keys()].map(key => key.length), 10);
+  const columnWidth = 22;
+  console.log('\n=== NATIVE VS QUERY BUILDER GAP BY INDEX SET ===');
+  console.log('(native ops/sec divided by the other driver\'s, 95% confidence interval)\n');
+  console.log(''.padEnd(labelWidth) + sets.map(set => `indexes: ${set}`.padStart(columnWidth)).join(''));
+  for (const [key, bySet] of rows) {
+    console.log(key.padEnd(labelWidth) + sets.map(set => (bySet.get(set) || '-').padStart(columnWidth)).join(''));
+  }
+}
+
+module.exports = {
+  INDEX_SETS,
+  parseIndexSets,
+  applyIndexSet,
+  displayIndexReport
+};
@@ -0,0 +1,122 @@
+// Worker thread of the latency proxy, see lib/network.js. Listens on a free port
+// of 127.0.0.1, reports it with { port } and forwards every connection to the
+// target until the worker is terminated; a failing server is reported with
+// { error }. Each direction of a connection is a link that delivers the chunks
+// it receives in order, after the time the bandwidth limit takes to send them
+// plus half the round-trip time, varied by the jitter.
+const net = require('net');
+const { parentPort, workerData } = require('worker_threads');
+const { setSeed, createRandom } = require('./random');
+
+const { target, rtt, jitter, bandwidth, seed } = workerData;
+
+// Jitter draws from the seed of the run, one stream per connection and direction
+setSeed(seed);
+
+// Bytes a link sends per millisecond, unlimited without a bandwidth (bits/sec)
+const bytesPerMilli = bandwidth ? bandwidth / 8 / 1000 : Infinity;
+
+function now() {
+  return performance.now();
+}
+
+// Call fn at time due. Timers fire whole milliseconds late at worst, which
+// would add up to 2 ms to every round trip, so a timer only covers the wait up
+// to the last millisecond and the event loop is polled for the rest.
+function schedule(fn, due) {
+  const remaining = due - now();
+  if (remaining > 1) {
+    const timer = setTimeout(() => schedule(fn, due), remaining - 1);
+    return () => clearTimeout(timer);
+  }
+  const immediate = setImmediate(() => (now() >= due ? fn() : schedule(fn, due)));
+  return () => clearImmediate(immediate);
+}
+
+// Write chunks to socket once they are due, in the order they were queued.
+// A null chunk ends the socket.
+function createDelayLine(socket) {
+  const queue = [];
+  let cancel = null;
+
+  const flush = () => {
+    cancel = null;
+    while (queue.length > 0 && queue[0].due <= now()) {
+      const { chunk } = queue.shift();
+      if (socket.destroyed) continue;
+      if (chunk === null) socket.end();
+      else socket.write(chunk);
+    }
+    if (queue.length > 0) cancel = schedule(flush, queue[0].due);
+  };
+
+  return {
+    push(chunk, due) {
+      queue.push({ chunk, due });
+      if (cancel) return;
+      if (due <= now()) flush();
+      else cancel = schedule(flush, due);
+    },
+    clear() {
+      if (cancel) cancel();
+      queue.length = 0;
+    }
+  };
+}
+
+// One direction of a connection, delivering to socket
+function createLink(socket, random) {
+  const line = createDelayLine(socket);
+  let idleAt = 0; // when the link has finished sending what it was given
+  let lastDue = 0;
+
+  return {
+    send(chunk) {
+      idleAt = Math.max(now(), idleAt) + chunk.length / bytesPerMilli;
+      const delay = Math.max(0, rtt / 2 + (random() * 2 - 1) * jitter);
+      // A chunk never overtakes the one before it, as on a TCP connection
+      lastDue = Math.max(idleAt + delay, lastDue);
+      line.push(chunk, lastDue);
+    },
+    end() {
+      line.push(null, Math.max(now(), lastDue));
+    },
+    clear: () => line.clear()
+  };
+}
+
+let connections = 0;
+
+// Both sides are half-open so that an end is forwarded after the data before it
+const server = net.createServer({ allowHalfOpen: true }, client => {
+  const id = connections++;
+  const upstream = net.connect({ ...target, allowHalfOpen: true });
+  client.setNoDelay(true);
+  upstream.setNoDelay(true);
+
+  const toServer = createLink(upstream, createRandom(`proxy/${id}/up`));
+  const toClient = createLink(client, createRandom(`proxy/${id}/down`));
+  client.on('data', chunk => toServer.send(chunk));
+  upstream.on('data', chunk => toClient.send(chunk));
+  client.on('end', () => toServer.end());
+  upstream.on('end', () => toClient.end());
+
+  // A failing side takes the other one down, as a broken network path would
+  const fail = () => {
+    toServer.clear();
+    toClient.clear();
+    client.destroy();
+    upstream.destroy();
+  };
+  client.on('error', fail);
+  upstream.on('error', fail);
+});
+
+// Reported to the main thread, which fails the run and terminates the worker
+server.on('error', error => {
+  parentPort.postMessage({ error: error.message });
+});
+
+server.listen(0, '127.0.0.1', () => {
+  parentPort.postMessage({ port: server.address().port });
+});
@@ -0,0 +1,127 @@
+// Per-operation latency of benchmark cases. Benchmark.js only reports the mean
+// time of a cycle, so every call is timed on its own and counted in a histogram
+// with logarithmic buckets: memory stays constant however many calls a case
+// makes, and percentiles are exact to within one bucket (about 2%).
+
+const { mean, percentile } = require('./stats');
+
+// Buckets per doubling of the latency used for percentiles
+const BUCKETS_PER_DOUBLING = 32;
+
+// Buckets per doubling of the histogram stored in result files (about 19% wide)
+const STORED_BUCKETS_PER_DOUBLING = 4;
+
+// Percentiles reported for every case; 100 is reported as max
+const PERCENTILES = [50, 90, 99, 99.9, 100];
+
+// Key of a percentile in summaries, e.g. p50, p999 (99.9) or max (100)
+function percentileKey(p) {
+  return p === 100 ? 'max' : `p${String(p).replace('.', '')}`;
+}
+
+function createHistogram() {
+  return { count: 0, sum: 0, min: Infinity, max: 0, buckets: new Map() };
+}
+
+// Bucket of a latency in nanoseconds; everything below 1 ns goes into bucket 0
+function bucketIndex(nanoseconds) {
+  return nanoseconds < 1 ? 0 : Math.floor(Math.log2(nanoseconds) * BUCKETS_PER_DOUBLING);
+}
+
+// Count one latency in seconds
+function recordLatency(histogram, seconds) {
+  const index = bucketIndex(seconds * 1e9);
+  histogram.buckets.set(index, (histogram.buckets.get(index) || 0) + 1);
+  histogram.count++;
+  histogram.sum += seconds;
+  if (seconds < histogram.min) histogram.min = seconds;
+  if (seconds > histogram.max) histogram.max = seconds;
+}
+
+function histogramFromLatencies(latencies) {
+  const histogram = createHistogram();
+  for (const seconds of latencies) recordLatency(histogram, seconds);
+  return histogram;
+}
+
+// Percentile (0-100) in seconds: the upper bound of the bucket holding it,
+// clamped to the smallest and largest latency seen
+function histogramPercentile(histogram, p) {
+  if (histogram.count === 0) return null;
+  if (p >= 100) return histogram.max;
+  const rank = Math.ceil((p / 100) * histogram.count);
+  let seen = 0;
+  for (const index of [...histogram.buckets.keys()].sort((a, b) => a - b)) {
+    seen += histogram.buckets.get(index);
+    if (seen >= rank) {
+      const upper = 2 ** ((index + 1) / BUCKETS_PER_DOUBLING) / 1e9;
+      return Math.min(Math.max(upper, histogram.min), histogram.max);
+    }
+  }
+  return histogram.max;
+}
+
+// Count, mean and percentiles in seconds, e.g. { count, mean, p50, p90, p99, p999, max }
+function summarizeHistogram(histogram) {
+  const summary = { count: histogram.count, mean: histogram.count ? histogram.sum / histogram.count : null };
+  for (const p of PERCENTILES) summary[percentileKey(p)] = histogramPercentile(histogram, p);
+  return summary;
+}
+
+// Count, mean and exact percentiles in seconds of a list of latencies, for
+// measurements that keep every latency anyway (see lib/concurrency.js)
+function summarizeLatencies(latencies) {
+  const summary = { count: latencies.length, mean: latencies.length ? mean(latencies) : null };
+  for (const p of PERCENTILES) summary[percentileKey(p)] = latencies.length ? percentile(latencies, p) : null;
+  return summary;
+}
+
+// Non-empty buckets of the coarser histogram stored in result files:
+// [[from, to, count], ...] with from and to in seconds
+function histogramBuckets(histogram) {
+  const factor = BUCKETS_PER_DOUBLING / STORED_BUCKETS_PER_DOUBLING;
+  const coarse = new Map();
+  for (const [index, count] of histogram.buckets) {
+    const coarseIndex = Math.floor(index / factor);
+    coarse.set(coarseIndex, (coarse.get(coarseIndex) || 0) + count);
+  }
+  return [...coarse.keys()].sort((a, b) => a - b).map(index => [
+    2 ** (index / STORED_BUCKETS_PER_DOUBLING) / 1e9,
+    2 ** ((index + 1) / STORED_BUCKETS_PER_DOUBLING) / 1e9,
+    coarse.get(index)
+  ]);
+}
+
+// Format seconds as ns, µs, ms or s
+function formatLatency(seconds) {
+  if (seconds == null) return '-';
+  if (seconds < 1e-6) return `${(seconds * 1e9).toFixed(0)} ns`;
+  if (seconds < 1e-3) return `${(seconds * 1e6).toFixed(2)} µs`;
+  if (seconds < 1) return `${(seconds * 1e3).toFixed(2)} ms`;
+  return `${seconds.toFixed(2)} s`;
+}
+
+// Format seconds as ms for tables whose header names the unit, e.g. "3.10"
+function formatMillis(seconds) {
+  return seconds == null ? '-' : (seconds * 1000).toFixed(2);
+}
+
+// One-line summary, e.g. "p50 3.10 µs, p90 3.40 µs, p99 8.20 µs, p99.9 21.00 µs, max 1.20 ms"
+function formatSummary(summary) {
+  return PERCENTILES.map(p => `${p === 100 ? 'max' : `p${p}`} ${formatLatency(summary[percentileKey(p)])}`).join(', ');
+}
+
+module.exports = {
+  PERCENTILES,
+  percentileKey,
+  createHistogram,
+  recordLatency,
+  histogramFromLatencies,
+  histogramPercentile,
+  summarizeHistogram,
+  summarizeLatencies,
+  histogramBuckets,
+  formatLatency,
+  formatMillis,
+  formatSummary
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { pairResults, formatGap } = require('./report');
+
+// Remote database round trips emulated offline. A local PostgreSQL answers in a
+// fraction of a millisecond, which hides how much the number of round trips of
+// a driver costs against a remote database such as Supabase. "bench network"
+// runs the pg suites through a TCP proxy between the pg clients and PostgreSQL
+// that delays every chunk by half the round-trip time (RTT) in each direction,
+// varies that delay by a seeded jitter and can limit the bandwidth. The proxy
+// runs in a worker thread (lib/latency-proxy-worker.js) so that its timers do
+// not wait for the benchmark loop.
+
+const WORKER_SCRIPT = path.join(__dirname, 'latency-proxy-worker.js');
+
+// Round-trip times in ms used by "bench network" when --rtt is not given
+const DEFAULT_RTTS = [1, 20, 80];
+
+// Parse "1,20,80" into round-trip times in ms
+function parseRtts(value, flag = '--rtt') {
+  if (!value) return DEFAULT_RTTS;
+  return value.split(',').map(part => {
+    const rtt = Number(part.trim());
+    if (part.trim() === '' || !Number.isFinite(rtt) || rtt < 0) {
+      throw new Error(`${flag} expects a comma-separated list of round-trip times in ms, got "${part}"`);
+    }
+    return rtt;
+  });
+}
+
+// Parse a bandwidth such as "100mbit" or "512kbit" into bits per second
+function parseBandwidth(value, flag = '--bandwidth') {
+  if (value === undefined) return undefined;
+  const multipliers = { k: 1e3, m: 1e6, g: 1e9 };
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([kmg]?)bit\s*$/i.exec(value);
+  const bandwidth = match ? Number(match[1]) * (multipliers[match[2].toLowerCase()] || 1) : NaN;
+  if (!(bandwidth > 0)) {
+    throw new Error(`${flag} expects a rate such as 512kbit, 100mbit or 1gbit, got "${value}"`);
+  }
+  return bandwidth;
+}
+
+function formatBandwidth(bandwidth) {
+  if (bandwidth >= 1e9) return `${bandwidth / 1e9} Gbit/s`;
+  if (bandwidth >= 1e6) return `${bandwidth / 1e6} Mbit/s`;
+  if (bandwidth >= 1e3) return `${bandwidth / 1e3} kbit/s`;
+  return `${bandwidth} bit/s`;
+}
+
+// "20 ms RTT ±2 ms, 100 Mbit/s"
+function describeNetwork({ rtt, jitter, bandwidth }) {
+  return `${rtt} ms RTT${jitter ? ` ±${jitter} ms` : ''}${bandwidth ? `, ${formatBandwidth(bandwidth)}` : ''}`;
+}
+
+// Start a latency proxy to target ({ host, port }).
+// network: { rtt, jitter, bandwidth, seed } - ms, ms, bits/sec (optional) and the seed of the jitter
+// Resolves to { address: { host, port }, failed, close() } once the proxy listens.
+// failed is a promise that rejects when the proxy fails while it runs, so a run
+// through the proxy can race it; the worker is terminated on failure already.
+function startLatencyProxy(target, network) {
+  const worker = new Worker(WORKER_SCRIPT, {
+    workerData: { target, rtt: network.rtt, jitter: network.jitter || 0, bandwidth: network.bandwidth, seed: network.seed }
+  });
+
+  let closing = false;
+  let fail;
+  const failed = new Promise((_, reject) => { fail = reject; });
+  // Only a run racing failed handles it
+  failed.catch(() => {});
+
+  const stop = error => {
+    if (closing) return;
+    closing = true;
+    fail(error);
+    worker.terminate();
+  };
+  worker.on('error', error => stop(new Error(`Latency proxy failed: ${error.message}`)));
+  worker.on('exit', code => stop(new Error(`Latency proxy exited with code ${code}`)));
+  worker.on('message', message => {
+    if (message.error) stop(new Error(`Latency proxy failed: ${message.error}`));
+  });
+
+  const listening = new Promise(resolve => {
+    worker.once('message', ({ port }) => {
+      if (port !== undefined) resolve({ host: '127.0.0.1', port });
+    });
+  });
+  return Promise.race([listening, failed]).then(address => ({
+    address,
+    failed,
+    close() {
+      closing = true;
+      return worker.terminate();
+    }
+  }));
+}
+
+function printTable(title, note, columns, rows) {
+  const labelWidth = Math.max(...[...rows.keys()].map(key => key.length), 10);
+  const columnWidth = 22;
+  console.log(`\n=== ${title} ===`);
+  if (note) console.log(`${note}\n`);
+  console.log(''.padEnd(labelWidth) + columns.map(rtt => `${rtt} ms RTT`.padStart(columnWidth)).join(''));
+  for (const [key, byRtt] of rows) {
+    console.log(key.padEnd(labelWidth) + columns.map(rtt => (byRtt.get(rtt) || '-').padStart(columnWidth)).join(''));
+  }
+}
+
+// Display the ops/sec of every case and the native-vs-query-builder ratio of
+// every operation per round-trip time
+function displayNetworkReport(records) {
+  const rtts = [...new Set(records.map(record => record.rtt))].sort((a, b) => a - b);
+
+  const rates = new Map();
+  for (const record of records) {
+    const key = `${record.suite}: ${record.name}`;
+    if (!rates.has(key)) rates.set(key, new Map());
+    rates.get(key).set(record.rtt, record.error ? 'failed' : Math.round(record.hz).toLocaleString('en-US'));
+  }
+  printTable('OPS/SEC BY ROUND-TRIP TIME', null, rtts, rates);
+
+  const gaps = new Map();
+  for (const pair of pairResults(records)) {
+    const key = `${pair.suite}: ${pair.nativeDriver} vs ${pair.contenderDriver} - ${pair.operation}`;
+    if (!gaps.has(key)) gaps.set(key, new Map());
+    gaps.get(key).set(pair.rtt, formatGap(pair));
+  }
+  if (gaps.size === 0) return;
+  printTable(
+    'NATIVE VS QUERY BUILDER GAP BY ROUND-TRIP TIME',
+    '(native ops/sec divided by the other driver\'s, 95% confidence interval)',
+    rtts,
+    gaps
+  );
+}
+
+module.exports = {
+  DEFAULT_RTTS,
+  parseRtts,
+  parseBandwidth,
+  describeNetwork,
+  startLatencyProxy,
+  displayNetworkReport
+};
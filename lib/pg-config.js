@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+// Connection profiles of the postgres suite. A profile names a database URL, an
+// SSL mode and pool sizes; profiles come from a JSON config file
+// (pg.config.json, see pg.config.example.json) next to the built-in "local"
+// profile. Which connection a run uses:
+//   1. the profile named by --pg-profile or PG_PROFILE, if any
+//   2. else DATABASE_URL, if set (also from .env)
+//   3. else the "local" profile
+// PG_POOL_MAX, PG_BUILDER_POOL_MAX, PG_POOL_MIN and PGSSLMODE override the
+// pool sizes and SSL mode of whichever connection was chosen.
+
+// Config file read when neither --pg-config nor PG_CONFIG name one
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'pg.config.json');
+
+// Settings of a profile that leaves them out
+const DEFAULTS = {
+  ssl: 'disable',
+  pool: {
+    max: 20, // Clients of the native pg pool
+    builderMax: 10, // Clients of the Knex.js, Kysely and Drizzle pools
+    min: 2 // Clients Knex.js keeps open
+  },
+  connectionTimeoutMillis: 2000
+};
+
+// Profiles available without a config file. "local" is a PostgreSQL started for
+// the run on this machine, e.g. with "npm run pg:start" (see README.md).
+const BUILTIN_PROFILES = {
+  local: { url: 'postgresql://postgres@localhost:5432/postgres', ssl: 'disable' }
+};
+
+// SSL modes, named after libpq's sslmode, and the pg ssl option of each
+const SSL_MODES = {
+  disable: false,
+  require: { rejectUnauthorized: false }, // encrypted, certificate not checked
+  'verify-full': { rejectUnauthorized: true }
+};
+
+// Replace ${NAME} in a config file string by the environment variable NAME,
+// so that the file can refer to credentials kept out of it. Only the url of the
+// profile a run uses is expanded, so other profiles may refer to unset variables.
+function expandEnv(value, env, file) {
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (env[name] === undefined) throw new Error(`${file} refers to \${${name}}, which is not set`);
+    return env[name];
+  });
+}
+
+function readConfigFile(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!config.profiles || typeof config.profiles !== 'object') {
+    throw new Error(`${file} has no "profiles" object, see pg.config.example.json`);
+  }
+  return config.profiles;
+}
+
+function parsePoolSize(value, name, minimum = 1) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < minimum) {
+    throw new Error(`${name} expects an integer of at least ${minimum}, got "${value}"`);
+  }
+  return size;
+}
+
+function validateSslMode(mode) {
+  if (!Object.hasOwn(SSL_MODES, mode)) {
+    throw new Error(`Unknown SSL mode "${mode}", expected one of: ${Object.keys(SSL_MODES).join(', ')}`);
+  }
+  return mode;
+}
+
+// Host and port a database URL connects to
+function pgTarget(url) {
+  const parsed = new URL(url);
+  return { host: parsed.hostname || 'localhost', port: Number(parsed.port) || 5432 };
+}
+
+// The database URL with its host and port replaced by those of a proxy
+function proxiedUrl(url, proxy) {
+  const parsed = new URL(url);
+  parsed.hostname = proxy.host;
+  parsed.port = String(proxy.port);
+  return parsed.toString();
+}
+
+// Resolve the connection of a run.
+// options: { profile, configFile } - from --pg-profile and --pg-config
+//          { proxy } - { host, port } of a latency proxy to connect through, see lib/network.js
+// Returns { profile, url, ssl, pool: { max, builderMax, min }, connectionTimeoutMillis, proxy };
+// profile is null when the connection comes from DATABASE_URL.
+function resolvePgConfig(options = {}, env = process.env) {
+  const configFile = options.configFile || env.PG_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  const profiles = { ...BUILTIN_PROFILES, ...(configFile ? readConfigFile(configFile) : {}) };
+
+  let name = options.profile || env.PG_PROFILE || null;
+  let profile;
+  if (name) {
+    if (!Object.hasOwn(profiles, name)) {
+      throw new Error(`Unknown postgres profile "${name}", expected one of: ${Object.keys(profiles).join(', ')}`);
+    }
+    profile = profiles[name];
+  } else if (env.DATABASE_URL) {
+    profile = { url: env.DATABASE_URL };
+  } else {
+    name = 'local';
+    profile = profiles.local;
+  }
+  if (!profile.url) throw new Error(`Postgres profile "${name}" has no url`);
+  // A profile's url may refer to variables, DATABASE_URL is used as it is
+  if (name) profile = { ...profile, url: expandEnv(profile.url, env, configFile) };
+
+  const pool = { ...DEFAULTS.pool, ...profile.pool };
+  if (env.PG_POOL_MAX !== undefined) pool.max = parsePoolSize(env.PG_POOL_MAX, 'PG_POOL_MAX');
+  if (env.PG_BUILDER_POOL_MAX !== undefined) pool.builderMax = parsePoolSize(env.PG_BUILDER_POOL_MAX, 'PG_BUILDER_POOL_MAX');
+  if (env.PG_POOL_MIN !== undefined) pool.min = parsePoolSize(env.PG_POOL_MIN, 'PG_POOL_MIN', 0);
+
+  return {
+    profile: name,
+    url: options.proxy ? proxiedUrl(profile.url, options.proxy) : profile.url,
+    ssl: validateSslMode(env.PGSSLMODE || profile.ssl || DEFAULTS.ssl),
+    pool,
+    connectionTimeoutMillis: profile.connectionTimeoutMillis || DEFAULTS.connectionTimeoutMillis,
+    proxy: options.proxy || null
+  };
+}
+
+// The pg ssl option of a resolved config. An sslmode in the URL itself takes precedence in pg.
+function sslOption(config) {
+  return SSL_MODES[config.ssl];
+}
+
+// pg.Pool options of a resolved config with max clients
+function pgPoolOptions(config, max) {
+  return { connectionString: config.url, ssl: sslOption(config), max };
+}
+
+// Knex options of a resolved config with max clients
+function knexPgOptions(config, max) {
+  return {
+    connection: { connectionString: config.url, ssl: sslOption(config) },
+    pool: { min: Math.min(config.pool.min, max), max }
+  };
+}
+
+// URL of a resolved config with the password masked, for logging
+function describePgConfig(config) {
+  const url = config.url.replace(/^(\w+:\/\/[^:/@]+:)[^@]*@/, '$1****@');
+  const proxy = config.proxy ? ', through the latency proxy' : '';
+  return `${config.profile ? `profile "${config.profile}"` : 'DATABASE_URL'}: ${url} (ssl ${config.ssl}, pool ${config.pool.max}/${config.pool.builderMax}${proxy})`;
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  SSL_MODES,
+  resolvePgConfig,
+  pgTarget,
+  sslOption,
+  pgPoolOptions,
+  knexPgOptions,
+  describePgConfig
+};
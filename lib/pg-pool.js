@@ -0,0 +1,222 @@
+const { Pool } = require('pg');
+const Knex = require('knex');
+const { matchesFilter, displayResults } = require('./harness');
+const { summarizeLatencies, histogramFromLatencies, formatMillis } = require('./latency');
+const { createResultSuite, completedCase, failedCase } = require('./result-suite');
+const { createRandom } = require('./random');
+const { pgPoolOptions, knexPgOptions } = require('./pg-config');
+
+// Pool concurrency of native pg vs Knex.js. Every Benchmark.js case of the
+// postgres suite waits for one query before it starts the next, so neither
+// pool ever has more than one client busy. Here K query loops run at once for
+// a fixed duration, keeping K Select By Id queries in flight, on pools of a
+// matched size: both drivers get the same maximum number of clients and no
+// minimum. Each case opens its own pool, warms it up and closes it afterwards.
+//
+// Like lib/concurrency.js, the results are shaped like a completed Benchmark.js
+// suite, one per pool size, so that displayResults() and the result files handle them:
+//   hz     queries per second over all loops
+//   sample seconds per query, one value per time slice of SLICE_SECONDS
+// The latency of every query includes the time it waited for a pooled client;
+// that acquire wait is also summarized on its own in the case's details.
+
+// Queries kept in flight when --in-flight is not given
+const DEFAULT_IN_FLIGHT = [1, 4, 16, 64];
+
+// Maximum clients of both pools when --pool-sizes is not given
+const DEFAULT_POOL_SIZES = [4, 16, 64];
+
+// Seconds every case runs for, when --max-time is not given
+const DEFAULT_DURATION = 2;
+
+// Seconds of untimed queries before every case, so that both pools have opened their clients
+const WARMUP_SECONDS = 0.25;
+
+// Rows seeded before the cases run; the queries pick one of them at random
+const SEED_ROWS = 1000;
+
+const SLICE_SECONDS = 0.1;
+
+function now() {
+  return Number(process.hrtime.bigint()) / 1e9;
+}
+
+// Drivers compared, in case order. open(config, poolSize) returns
+// { selectById(id), acquireWaits, close() }: acquireWaits collects the seconds
+// every query waited for a pooled client.
+const POOL_DRIVERS = [
+  {
+    name: 'Native pg',
+    open(config, poolSize) {
+      const pool = new Pool(pgPoolOptions(config, poolSize));
+      const acquireWaits = [];
+      return {
+        acquireWaits,
+        async selectById(id) {
+          const start = now();
+          const client = await pool.connect();
+          acquireWaits.push(now() - start);
+          try {
+            return (await client.query('SELECT * FROM users WHERE id = $1', [id])).rows[0];
+          } finally {
+            client.release();
+          }
+        },
+        close: () => pool.end()
+      };
+    }
+  },
+  {
+    // Knex.js acquires clients from its tarn.js pool, whose events time the wait
+    name: 'Knex.js (pg)',
+    open(config, poolSize) {
+      const { connection } = knexPgOptions(config, poolSize);
+      const knex = Knex({ client: 'pg', connection, pool: { min: 0, max: poolSize } });
+      const acquireWaits = [];
+      const requested = new Map();
+      knex.client.pool.on('acquireRequest', eventId => requested.set(eventId, now()));
+      knex.client.pool.on('acquireSuccess', eventId => {
+        acquireWaits.push(now() - requested.get(eventId));
+        requested.delete(eventId);
+      });
+      knex.client.pool.on('acquireFail', eventId => requested.delete(eventId));
+      return {
+        acquireWaits,
+        selectById: id => knex('users').where('id', id).first(),
+        close: () => knex.destroy()
+      };
+    }
+  }
+];
+
+// Keep inFlight loops of queries running until deadline. Returns the latency of
+// every query and the queries finished per time slice since start.
+async function runLoops(connection, inFlight, start, deadline, random) {
+  const latencies = [];
+  const slices = [];
+  let rows = 0;
+  const loop = async () => {
+    while (now() < deadline) {
+      const queryStart = now();
+      const row = await connection.selectById(Math.floor(random() * SEED_ROWS) + 1);
+      const end = now();
+      latencies.push(end - queryStart);
+      if (row) rows++;
+      // Queries finishing after the last full slice are cut short by the deadline, so they are not sliced
+      const slice = Math.floor((end - start) / SLICE_SECONDS);
+      if (start + (slice + 1) * SLICE_SECONDS <= deadline) slices[slice] = (slices[slice] || 0) + 1;
+    }
+  };
+  await Promise.all(Array.from({ length: inFlight }, loop));
+  return { latencies, slices: Array.from(slices, count => count || 0), rows };
+}
+
+// Run one driver with inFlight queries in flight on a pool of poolSize clients
+// and turn the measurements into a completed-case object, see the top of this file
+async function runCase(caseName, driver, config, poolSize, inFlight, duration) {
+  const connection = driver.open(config, poolSize);
+  try {
+    // The same ids for both drivers
+    const random = createRandom(`pool/${poolSize}/${inFlight}`);
+    const warmupStart = now();
+    await runLoops(connection, inFlight, warmupStart, warmupStart + WARMUP_SECONDS, random);
+    connection.acquireWaits.length = 0;
+
+    const start = now();
+    const { latencies, slices, rows } = await runLoops(connection, inFlight, start, start + duration, random);
+    const elapsed = now() - start;
+    const acquireWaits = connection.acquireWaits.slice();
+
+    const sample = slices.filter(count => count > 0).map(count => SLICE_SECONDS / count);
+    const queries = latencies.length;
+    const waited = acquireWaits.reduce((total, wait) => total + wait, 0);
+    const busy = latencies.reduce((total, latency) => total + latency, 0);
+
+    return completedCase(caseName, { hz: queries / elapsed, sample, mean: queries ? elapsed / queries : 0 }, {
+      counters: { calls: queries, changes: 0, rows, observed: queries },
+      latencies,
+      details: {
+        poolSize,
+        inFlight,
+        duration: elapsed,
+        queries,
+        latency: summarizeLatencies(latencies),
+        acquire: summarizeLatencies(acquireWaits),
+        // Share of the query time spent waiting for a client
+        acquireShare: busy > 0 ? waited / busy : 0
+      }
+    });
+  } finally {
+    await connection.close();
+  }
+}
+
+// Print throughput, latency and acquire wait of every case, one row per
+// in-flight count and driver, so the rows read as curves per driver
+function displayPoolCurves(suite) {
+  const cases = suite.filter(benchmark => !benchmark.error);
+  if (cases.length === 0) return;
+  console.log(`\n=== ${suite.name.toUpperCase()} (latency in ms) ===`);
+  const header = ['Case', 'Queries/s', 'p50', 'p99', 'max', 'Wait mean', 'Wait p99', 'Waiting'];
+  const rows = cases.map(benchmark => {
+    const { latency, acquire, acquireShare } = benchmark.details;
+    return [
+      benchmark.name,
+      Math.round(benchmark.hz).toLocaleString('en-US'),
+      formatMillis(latency.p50),
+      formatMillis(latency.p99),
+      formatMillis(latency.max),
+      formatMillis(acquire.mean),
+      formatMillis(acquire.p99),
+      `${(acquireShare * 100).toFixed(1)}%`
+    ];
+  });
+  const width = Math.max(...[header, ...rows].map(row => row[0].length));
+  const cellWidth = Math.max(10, ...header.slice(1).map(cell => cell.length + 1));
+  for (const row of [header, ...rows]) {
+    console.log(`  ${row[0].padEnd(width)}  ${row.slice(1).map(cell => cell.padStart(cellWidth)).join('')}`);
+  }
+}
+
+// Run every driver at every in-flight count on a pool of poolSize clients.
+// Resolves to a suite-shaped array of completed cases named
+// "<driver> - Select By Id, pool <P>, <K> in flight".
+// options: { filter, maxTime } - see lib/harness.js
+//          { inFlight } - queries kept in flight (default: 1, 4, 16, 64)
+async function runPoolCases(config, poolSize, options = {}) {
+  const duration = options.maxTime || DEFAULT_DURATION;
+  const name = `Pool of ${poolSize} Connection${poolSize === 1 ? '' : 's'}`;
+
+  const suite = createResultSuite(name);
+
+  for (const inFlight of options.inFlight || DEFAULT_IN_FLIGHT) {
+    for (const driver of POOL_DRIVERS) {
+      const caseName = `${driver.name} - Select By Id, pool ${poolSize}, ${inFlight} in flight`;
+      if (!matchesFilter(caseName, options.filter)) continue;
+      try {
+        const { latencies, ...benchmark } = await runCase(caseName, driver, config, poolSize, inFlight, duration);
+        suite.counters.set(caseName, benchmark.counters);
+        suite.latencies.set(caseName, histogramFromLatencies(latencies));
+        suite.push(benchmark);
+      } catch (error) {
+        console.error(`Error in ${name} - ${caseName}:`, error.message);
+        suite.push(failedCase(caseName, error));
+      }
+    }
+  }
+
+  if (suite.length === 0) {
+    console.log(`\n${name}: no cases match the filter, skipping`);
+  } else {
+    displayResults(suite);
+    displayPoolCurves(suite);
+  }
+  return suite;
+}
+
+module.exports = {
+  DEFAULT_IN_FLIGHT,
+  DEFAULT_POOL_SIZES,
+  SEED_ROWS,
+  runPoolCases
+};
@@ -0,0 +1,30 @@
+// Worker thread of the blocking PostgreSQL client of the postgres table state
+// manager, see createBlockingPgClient() in lib/state.js. Runs every query it
+// receives on its own connection, answers with { error } on the port and then
+// wakes the main thread, which waits on the shared done flag.
+const { Client } = require('pg');
+const { workerData } = require('worker_threads');
+
+const { clientOptions, done, port } = workerData;
+
+const client = new Client(clientOptions);
+// A connection failure is reported by the first query
+const connected = client.connect().then(() => {
+  // A restore waiting for a lock held by the blocked main thread would never get it
+  return client.query("SET lock_timeout = '10s'");
+});
+connected.catch(() => {});
+client.on('error', () => {});
+
+port.on('message', async ({ text, values }) => {
+  let error = null;
+  try {
+    await connected;
+    await client.query(text, values);
+  } catch (queryError) {
+    error = queryError.message;
+  }
+  port.postMessage({ error });
+  Atomics.store(done, 0, 1);
+  Atomics.notify(done, 0);
+});
@@ -0,0 +1,169 @@
+// Query plans of the CRUD scenario cases (--plans). Before timing, every case's
+// operation runs once with the arguments of the equivalence check (writes rolled
+// back) while the statements its driver executes are traced, and every distinct
+// traced statement is explained on the same database:
+//   SQLite  EXPLAIN QUERY PLAN, which does not run the statement
+//   pg      EXPLAIN (ANALYZE, BUFFERS), which does, so it runs in a transaction
+//           that is rolled back
+// The plans are stored in the case's details as plans: [{ sql, plan: [line, ...] }],
+// which the result files keep (JSON only), and printed after the suite.
+
+// Statements that only control transactions have no plan
+const TRANSACTION_CONTROL = /^\s*(BEGIN|COMMIT|END|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+// Statement methods that execute a better-sqlite3 or node:sqlite statement
+const STATEMENT_METHODS = ['run', 'get', 'all', 'iterate'];
+
+// Replace methods of an object for the duration of fn, then restore them
+async function withPatched(target, methods, wrap, fn) {
+  const originals = methods.map(method => [method, target[method]]);
+  for (const [method, original] of originals) target[method] = wrap(original);
+  try {
+    await fn();
+  } finally {
+    for (const [method, original] of originals) target[method] = original;
+  }
+}
+
+// Run fn and resolve to the { sql, params } of every statement it executed on
+// SQLite connections of the same library as connection. Statements are traced
+// on their prototype, so statements prepared before fn runs are traced too.
+async function traceSqlite(connection, fn) {
+  const traced = [];
+  const prototype = Object.getPrototypeOf(connection.prepare('SELECT 1'));
+  await withPatched(prototype, STATEMENT_METHODS, original => function(...params) {
+    // better-sqlite3 names the SQL source, node:sqlite sourceSQL
+    traced.push({ sql: this.source || this.sourceSQL, params });
+    return original.apply(this, params);
+  }, fn);
+  return traced;
+}
+
+// Run fn and resolve to the { sql, params } of every query it sent through a
+// pg client. Knex.js, Kysely and Drizzle all run their queries on pg clients.
+async function tracePg(fn) {
+  const { Client } = require('pg');
+  const traced = [];
+  await withPatched(Client.prototype, ['query'], original => function(config, values) {
+    if (typeof config === 'string') {
+      traced.push({ sql: config, params: Array.isArray(values) ? values : [] });
+    } else if (config && typeof config.text === 'string') {
+      traced.push({ sql: config.text, params: config.values || (Array.isArray(values) ? values : []) });
+    }
+    return original.apply(this, arguments);
+  }, fn);
+  return traced;
+}
+
+// The first execution of every statement that can be explained
+function distinctStatements(traced) {
+  const statements = new Map();
+  for (const statement of traced) {
+    if (!TRANSACTION_CONTROL.test(statement.sql) && !statements.has(statement.sql)) {
+      statements.set(statement.sql, statement);
+    }
+  }
+  return [...statements.values()];
+}
+
+// Plan lines of EXPLAIN QUERY PLAN rows, indented by their depth in the plan tree
+function formatSqlitePlan(rows) {
+  const depths = new Map();
+  return rows.map(row => {
+    const depth = depths.has(row.parent) ? depths.get(row.parent) + 1 : 0;
+    depths.set(row.id, depth);
+    return `${'  '.repeat(depth)}${row.detail}`;
+  });
+}
+
+function compactSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+// EXPLAIN QUERY PLAN of every statement, with its traced parameters, on connection
+function explainSqlite(connection, statements) {
+  return statements.map(({ sql, params }) => ({
+    sql: compactSql(sql),
+    plan: formatSqlitePlan(connection.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...params))
+  }));
+}
+
+// EXPLAIN (ANALYZE, BUFFERS) of every statement, with its traced parameters, on a
+// client of pool. Each one runs in its own transaction that is rolled back, so that
+// explained writes leave the table as it was and a failing one does not stop the others.
+async function explainPg(pool, statements) {
+  const client = await pool.connect();
+  try {
+    const plans = [];
+    for (const { sql, params } of statements) {
+      await client.query('BEGIN');
+      try {
+        const { rows } = await client.query(`EXPLAIN (ANALYZE, BUFFERS) ${sql}`, params);
+        plans.push({ sql: compactSql(sql), plan: rows.map(row => row['QUERY PLAN']) });
+      } catch (error) {
+        plans.push({ sql: compactSql(sql), plan: [`EXPLAIN failed: ${error.message}`] });
+      } finally {
+        await client.query('ROLLBACK');
+      }
+    }
+    return plans;
+  } finally {
+    client.release();
+  }
+}
+
+// Plan capture of the sqlite suite: every driver has its own connection
+const SQLITE_PLANS = {
+  trace: (driver, fn) => traceSqlite(driver.connection, fn),
+  explain: async (driver, statements) => explainSqlite(driver.connection, statements)
+};
+
+// Plan capture of the postgres suite: every driver queries the same table, whose
+// statements are explained on pool
+function pgPlans(pool) {
+  return {
+    trace: (driver, fn) => tracePg(fn),
+    explain: (driver, statements) => explainPg(pool, statements)
+  };
+}
+
+// Capture the plans of every case in suites. runs are the scenario runs of
+// scenarioRuns() in lib/scenarios.js, capture is SQLITE_PLANS or pgPlans(pool).
+// A case whose plan cannot be captured is reported and timed without one.
+async function capturePlans(suites, runs, capture) {
+  const benchmarks = new Map();
+  for (const suite of suites) suite.forEach(benchmark => benchmarks.set(benchmark.name, benchmark));
+
+  console.log('\nCapturing query plans...');
+  for (const { name, driver, run } of runs) {
+    const benchmark = benchmarks.get(name);
+    if (!benchmark) continue;
+    try {
+      const statements = distinctStatements(await capture.trace(driver, run));
+      benchmark.details = { ...benchmark.details, plans: await capture.explain(driver, statements) };
+    } catch (error) {
+      console.error(`  Could not capture the plan of ${name}: ${error.message}`);
+    }
+  }
+}
+
+// Print the captured plan of every case, one block per statement
+function displayPlans(suites) {
+  const cases = suites.flatMap(suite => Array.from(suite).filter(benchmark => benchmark.details && benchmark.details.plans));
+  if (cases.length === 0) return;
+  console.log('\n=== QUERY PLANS ===');
+  for (const benchmark of cases) {
+    console.log(`\n${benchmark.name}:`);
+    for (const { sql, plan } of benchmark.details.plans) {
+      console.log(`  ${sql}`);
+      for (const line of plan) console.log(`    ${line}`);
+    }
+  }
+}
+
+module.exports = {
+  SQLITE_PLANS,
+  pgPlans,
+  capturePlans,
+  displayPlans
+};
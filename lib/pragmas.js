@@ -0,0 +1,137 @@
+// PRAGMA configuration sweep of the wal suite (--pragma). Every --pragma option
+// lists values of one PRAGMA, e.g. "synchronous=NORMAL,FULL"; the suite then
+// runs once per combination of all listed values and ranks the combinations.
+
+// PRAGMAs the sweep accepts and their values. Values are interpolated into
+// PRAGMA statements, so only known keywords and integers are accepted.
+const integer = value => /^-?\d+$/.test(value);
+const keywords = (...names) => value => names.includes(value.toUpperCase());
+const either = (...checks) => value => checks.some(check => check(value));
+const inRange = (min, max) => value => integer(value) && Number(value) >= min && Number(value) <= max;
+
+const SWEEP_PRAGMA_VALUES = {
+  journal_mode: keywords('DELETE', 'TRUNCATE', 'PERSIST', 'MEMORY', 'WAL', 'OFF'),
+  synchronous: either(keywords('OFF', 'NORMAL', 'FULL', 'EXTRA'), inRange(0, 3)),
+  cache_size: integer,
+  mmap_size: inRange(0, Number.MAX_SAFE_INTEGER),
+  temp_store: either(keywords('DEFAULT', 'FILE', 'MEMORY'), inRange(0, 2)),
+  // A power of two from 512 to 65536
+  page_size: value => inRange(512, 65536)(value) && (Number(value) & (Number(value) - 1)) === 0,
+  locking_mode: keywords('NORMAL', 'EXCLUSIVE'),
+  wal_autocheckpoint: integer
+};
+
+const SWEEP_PRAGMAS = Object.keys(SWEEP_PRAGMA_VALUES);
+
+// Parse --pragma values such as ["synchronous=NORMAL,FULL", "cache_size=-2000,-64000"]
+// into every combination of them, e.g. [{ synchronous: 'NORMAL', cache_size: '-2000' }, ...]
+function parsePragmaSweep(specs) {
+  const axes = specs.map(spec => {
+    const match = /^\s*(\w+)\s*=\s*(.+)$/.exec(spec);
+    if (!match) throw new Error(`--pragma expects <name>=<value>[,<value>...], got "${spec}"`);
+    const name = match[1].toLowerCase();
+    if (!SWEEP_PRAGMAS.includes(name)) {
+      throw new Error(`Unsupported PRAGMA "${name}" for --pragma, expected one of: ${SWEEP_PRAGMAS.join(', ')}`);
+    }
+    const values = match[2].split(',').map(value => value.trim());
+    for (const value of values) {
+      if (!SWEEP_PRAGMA_VALUES[name](value)) throw new Error(`Invalid value "${value}" for PRAGMA ${name}`);
+    }
+    return { name, values };
+  });
+
+  const names = axes.map(axis => axis.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`PRAGMA ${duplicate} is given more than once, list its values in one --pragma`);
+
+  return axes.reduce((combinations, axis) => combinations.flatMap(pragmas =>
+    axis.values.map(value => ({ ...pragmas, [axis.name]: value }))
+  ), [{}]);
+}
+
+// Case name prefix of a combination, e.g. "synchronous=NORMAL, cache_size=-64000"
+function pragmaLabel(pragmas) {
+  const entries = Object.entries(pragmas);
+  if (entries.length === 0) return 'SQLite defaults';
+  return entries.map(([name, value]) => `${name}=${value}`).join(', ');
+}
+
+// What survives a crash with these settings (SQLite defaults: DELETE journal, synchronous FULL):
+//   full     committed transactions survive power loss
+//   app      WAL with synchronous NORMAL: survives application crashes, power loss
+//            may roll back the latest commits
+//   risky    rollback journal with synchronous NORMAL: power loss may corrupt the database
+//   none     synchronous OFF or no on-disk journal: a crash may corrupt the database
+function durability(pragmas) {
+  const journalMode = String(pragmas.journal_mode || 'DELETE').toUpperCase();
+  const synchronous = String(pragmas.synchronous || 'FULL').toUpperCase();
+  if (['OFF', 'MEMORY'].includes(journalMode) || ['OFF', '0'].includes(synchronous)) return 'none';
+  if (['NORMAL', '1'].includes(synchronous)) return journalMode === 'WAL' ? 'app' : 'risky';
+  return 'full';
+}
+
+function geometricMean(values) {
+  if (values.length === 0 || values.some(value => !(value > 0))) return 0;
+  return Math.exp(values.reduce((sum, value) => sum + Math.log(value), 0) / values.length);
+}
+
+// Print the combinations ranked by throughput. Each case's ops/sec is divided by the
+// best ops/sec of the same case over all combinations; a group's score is the geometric
+// mean of those ratios, the overall score the geometric mean over all cases.
+// A failed case scores 0.
+// groups: [{ suite, label }] - completed suites and their column headers
+// configs: [{ label, pragmas }] - case name prefixes of the combinations
+function displayPragmaRanking(groups, configs) {
+  // ops/sec by case (name without the combination prefix) and combination
+  const cases = new Map();
+  const groupCases = groups.map(() => new Set());
+  groups.forEach(({ suite }, i) => {
+    suite.forEach(benchmark => {
+      const config = configs.find(candidate => benchmark.name.startsWith(`${candidate.label} - `));
+      if (!config) return;
+      const key = `${suite.name} / ${benchmark.name.slice(config.label.length + 3)}`;
+      if (!cases.has(key)) cases.set(key, new Map());
+      cases.get(key).set(config.label, benchmark.error ? 0 : benchmark.hz);
+      groupCases[i].add(key);
+    });
+  });
+  if (cases.size === 0) return;
+
+  const ratio = (key, config) => {
+    const byConfig = cases.get(key);
+    const best = Math.max(...byConfig.values());
+    return best > 0 ? (byConfig.get(config.label) || 0) / best : 0;
+  };
+
+  const rows = configs.map(config => ({
+    config,
+    groups: groupCases.map(keys => keys.size ? geometricMean([...keys].map(key => ratio(key, config))) : null),
+    score: geometricMean([...cases.keys()].map(key => ratio(key, config)))
+  })).sort((a, b) => b.score - a.score);
+
+  const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  const header = ['#', 'Configuration', 'Durability', ...groups.map(group => group.label), 'Score'];
+  const table = rows.map((row, i) => [
+    String(i + 1),
+    row.config.label,
+    durability(row.config.pragmas),
+    ...row.groups.map(percent),
+    percent(row.score)
+  ]);
+
+  console.log('\n=== PRAGMA SWEEP RANKING (ops/sec as % of the best combination per case) ===');
+  const widths = header.map((cell, i) => Math.max(cell.length, ...table.map(row => row[i].length)));
+  for (const row of [header, ...table]) {
+    console.log(`  ${row.map((cell, i) => (i < 3 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ')}`);
+  }
+  console.log('\nDurability: full = commits survive power loss; app = WAL + synchronous=NORMAL, power loss may');
+  console.log('roll back the latest commits; risky = power loss may corrupt; none = a crash may corrupt.');
+}
+
+module.exports = {
+  SWEEP_PRAGMAS,
+  parsePragmaSweep,
+  pragmaLabel,
+  durability,
+  displayPragmaRanking
+};
@@ -0,0 +1,91 @@
+// Phase profiling of query builder cases (--profile). A Knex.js case times
+// building the query, compiling it with .toSQL() and running it together, so
+// two extra cases time the first phases on their own:
+//   "<case> [build]"          builds the query without running it
+//   "<case> [build + toSQL]"  builds and compiles it
+// The phases are then the differences of the mean times:
+//   build   = [build]
+//   toSQL   = [build + toSQL] - [build]
+//   execute = <case> - [build + toSQL]: driver execution, promise and deferred
+//             overhead, plus the second compilation Knex does when it runs a query
+// The square brackets keep the extra cases out of the native-vs-contender pairing
+// in lib/report.js, which only ignores a trailing "(...)" qualifier.
+
+const PHASE_CASES = {
+  build: 'build',
+  compile: 'build + toSQL'
+};
+
+function phaseCaseName(name, phase) {
+  return `${name} [${PHASE_CASES[phase]}]`;
+}
+
+// Add the build and build + toSQL cases of a case to its suite.
+// build(...args) returns an unexecuted query, compile(query) compiles it and
+// args() returns the arguments of one call, generated like the case's own.
+function addPhaseCases(suite, name, { build, compile, args }) {
+  suite.add(phaseCaseName(name, 'build'), {
+    minSamples: 5,
+    fn: function() {
+      build(...args());
+    }
+  });
+  suite.add(phaseCaseName(name, 'compile'), {
+    minSamples: 5,
+    fn: function() {
+      compile(build(...args()));
+    }
+  });
+}
+
+// Mean seconds per operation of a completed case, or undefined if it did not run
+function meanOf(benchmarks, name) {
+  const benchmark = benchmarks.get(name);
+  if (!benchmark || benchmark.error || !benchmark.stats.sample.length) return undefined;
+  return benchmark.stats.mean;
+}
+
+function formatMicros(seconds) {
+  return seconds === undefined ? '-' : (seconds * 1e6).toFixed(2);
+}
+
+// Print one phase table per profiled driver.
+// profiles: [{ operation, native, cases: { <driver name>: <case name> } }], see scenarioProfiles()
+function displayPhaseProfile(suites, profiles) {
+  const benchmarks = new Map();
+  for (const suite of suites) suite.forEach(benchmark => benchmarks.set(benchmark.name, benchmark));
+
+  const drivers = [...new Set(profiles.flatMap(profile => Object.keys(profile.cases)))];
+  for (const driver of drivers) {
+    const rows = profiles
+      .filter(profile => profile.cases[driver] && benchmarks.has(profile.cases[driver]))
+      .map(profile => {
+        const name = profile.cases[driver];
+        const total = meanOf(benchmarks, name);
+        const build = meanOf(benchmarks, phaseCaseName(name, 'build'));
+        const compiled = meanOf(benchmarks, phaseCaseName(name, 'compile'));
+        return [
+          profile.operation,
+          formatMicros(meanOf(benchmarks, profile.native)),
+          formatMicros(build),
+          formatMicros(build === undefined || compiled === undefined ? undefined : compiled - build),
+          formatMicros(compiled === undefined || total === undefined ? undefined : total - compiled),
+          formatMicros(total)
+        ];
+      });
+    if (rows.length === 0) continue;
+
+    console.log(`\n=== ${driver} phase profile (µs per operation) ===`);
+    const header = ['Operation', 'Native', 'Build', 'toSQL', 'Execute', 'Total'];
+    const width = Math.max(header[0].length, ...rows.map(row => row[0].length));
+    for (const row of [header, ...rows]) {
+      console.log(`  ${row[0].padEnd(width)}  ${row.slice(1).map(cell => cell.padStart(9)).join(' ')}`);
+    }
+  }
+}
+
+module.exports = {
+  phaseCaseName,
+  addPhaseCases,
+  displayPhaseProfile
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Seedable random numbers. Every random choice of the benchmarks (generated
+// users, the ids and ages of timed iterations, workload keys) comes from a
+// stream derived from one seed per run, so a run can be repeated on the same
+// data with --seed. Streams are independent of each other: a fresh
+// createRandom('inputs/Select By Id') yields the same sequence for every
+// driver, however much other streams were used before.
+
+// Seed of the current run, see setSeed(); a fresh random one until a run sets it
+let seed = randomSeed();
+
+// Generators shared by all callers of sharedRandom(), per stream
+const shared = new Map();
+
+// A new random seed, for runs without --seed
+function randomSeed() {
+  return String(crypto.randomInt(0, 2 ** 31));
+}
+
+function setSeed(value) {
+  seed = String(value);
+  shared.clear();
+}
+
+function getSeed() {
+  return seed;
+}
+
+// 32-bit FNV-1a hash of a string
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32: a small, fast generator with a 32-bit state, returning numbers in [0, 1)
+function mulberry32(state) {
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A new generator at the start of a stream of the current seed; a drop-in for Math.random
+function createRandom(stream) {
+  return mulberry32(hashString(`${seed}/${stream}`));
+}
+
+// The generator of a stream shared by every caller, e.g. for the seed rows
+function sharedRandom(stream) {
+  if (!shared.has(stream)) shared.set(stream, createRandom(stream));
+  return shared.get(stream);
+}
+
+module.exports = {
+  randomSeed,
+  setSeed,
+  getSeed,
+  createRandom,
+  sharedRandom
+};
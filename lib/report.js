@@ -0,0 +1,297 @@
+const fs = require('fs');
+const { ratioConfidenceInterval } = require('./stats');
+const { groupLabel, runQualifiers } = require('./results');
+const { formatSummary } = require('./latency');
+
+// Native driver cases and the cases compared against them. A contender case is
+// paired with the native case that has the same operation name, e.g.
+// "Native better-sqlite3 - Select By Id" with "Knex.js - Select By Id".
+// The benchmarkAsync control of native better-sqlite3 (--async-controls) pays the
+// same deferred and promise cost as the promise-based query builders, so pairing
+// them with it leaves the cost of the query builder itself.
+const COMPARISONS = [
+  { native: 'Native better-sqlite3', contenders: ['Knex.js', 'Kysely', 'Drizzle', 'node:sqlite'] },
+  { native: 'Native better-sqlite3 (benchmarkAsync)', contenders: ['Knex.js', 'Kysely'] },
+  { native: 'Native pg', contenders: ['Knex.js (pg)', 'Kysely (pg)', 'Drizzle (pg)'] }
+];
+
+// Markers delimiting the generated block in README.md
+const README_START = '<!-- results:start -->';
+const README_END = '<!-- results:end -->';
+
+const CONFIDENCE = 0.95;
+
+// Report strings per language
+const STRINGS = {
+  en: {
+    results: 'Results',
+    analysis: 'Native vs Query Builder Analysis',
+    intro: 'Ratios are native ops/sec divided by the other driver\'s ops/sec, with a 95% confidence interval computed from the recorded samples. Values above 1 mean native is faster.',
+    operation: 'Operation',
+    ratio: 'Ratio (95% CI)',
+    verdict: 'Verdict',
+    faster: (driver, ratio) => `${driver} ~${ratio}x faster`,
+    same: 'No significant difference',
+    failed: 'Failed',
+    insufficient: 'Insufficient samples (fewer than 2)',
+    runsSampled: 'runs sampled',
+    controls: 'Async harness controls',
+    controlsIntro: 'Ops/sec of the native cases run synchronously and through async controls (benchmarkAsync, a resolved promise, setImmediate) next to the other drivers. The gap between native and its controls is harness cost, not driver cost.',
+    generated: date => `_Generated on ${date}._`
+  },
+  id: {
+    results: 'Hasil',
+    analysis: 'Analisis Hasil Benchmark',
+    intro: 'Rasio adalah ops/sec native dibagi ops/sec driver lain, dengan interval kepercayaan 95% yang dihitung dari sampel yang direkam. Nilai di atas 1 berarti native lebih cepat.',
+    operation: 'Operasi',
+    ratio: 'Rasio (CI 95%)',
+    verdict: 'Kesimpulan',
+    faster: (driver, ratio) => `${driver} ~${ratio}x lebih cepat`,
+    same: 'Tidak berbeda signifikan',
+    failed: 'Gagal',
+    insufficient: 'Sampel tidak cukup (kurang dari 2)',
+    runsSampled: 'putaran disampel',
+    controls: 'Kontrol async harness',
+    controlsIntro: 'Ops/sec case native yang dijalankan secara sinkron dan melalui kontrol async (benchmarkAsync, promise yang sudah resolved, setImmediate) di samping driver lain. Selisih antara native dan kontrolnya adalah biaya harness, bukan biaya driver.',
+    generated: date => `_Dibuat pada ${date}._`
+  }
+};
+
+function getStrings(lang) {
+  const strings = STRINGS[lang || 'en'];
+  if (!strings) {
+    throw new Error(`Unsupported report language "${lang}", expected one of: ${Object.keys(STRINGS).join(', ')}`);
+  }
+  return strings;
+}
+
+// Operation name used for pairing: a trailing qualifier such as the
+// "(Transaction)" in "Batch Insert (Transaction)" is ignored
+function operationKey(operation) {
+  return operation.replace(/\s*\([^)]*\)$/, '');
+}
+
+// Split "Native better-sqlite3 - Select By Id" into driver and operation
+function parseCaseName(name) {
+  const separator = name.indexOf(' - ');
+  if (separator === -1) return { driver: name, operation: name };
+  return { driver: name.slice(0, separator), operation: name.slice(separator + 3) };
+}
+
+// Records of one run of a suite: scale runs tag them with the table size,
+// network runs with the round-trip time and --indexes runs with the index set
+function sameRun(record, other) {
+  return record.suite === other.suite && record.size === other.size &&
+    record.rtt === other.rtt && record.indexes === other.indexes;
+}
+
+// Operation name with the qualifiers of the run of a record, see runQualifiers()
+// in lib/results.js, e.g. "Select By Id (10,000 rows, 20 ms RTT)"
+function operationLabel(operation, record) {
+  const qualifiers = runQualifiers(record);
+  return qualifiers.length > 0 ? `${operation} (${qualifiers.join(', ')})` : operation;
+}
+
+function formatRatio(value) {
+  return value >= 10 ? value.toFixed(1) : value.toFixed(2);
+}
+
+// Ratio of a pair with its confidence interval for the console tables of
+// lib/scale.js, lib/network.js and lib/indexes.js, e.g. "3.21x (2.95-3.49)"
+function formatGap(pair) {
+  if (pair.insufficient) return 'too few samples';
+  const interval = pair.interval;
+  if (!interval) return 'failed';
+  return `${formatRatio(interval.ratio)}x (${formatRatio(interval.low)}-${formatRatio(interval.high)})`;
+}
+
+// Pair every native case with its contender cases and compute speedup ratios
+function pairResults(records) {
+  const pairs = [];
+
+  for (const comparison of COMPARISONS) {
+    for (const nativeRecord of records) {
+      const nativeCase = parseCaseName(nativeRecord.name);
+      if (nativeCase.driver !== comparison.native) continue;
+
+      for (const contender of comparison.contenders) {
+        const contenderRecord = records.find(record => {
+          if (!sameRun(record, nativeRecord)) return false;
+          const contenderCase = parseCaseName(record.name);
+          return contenderCase.driver === contender &&
+            operationKey(contenderCase.operation) === operationKey(nativeCase.operation);
+        });
+        if (!contenderRecord) continue;
+
+        const pair = {
+          suite: nativeRecord.suite,
+          group: nativeRecord.group,
+          size: nativeRecord.size,
+          rtt: nativeRecord.rtt,
+          indexes: nativeRecord.indexes,
+          operation: nativeCase.operation,
+          native: nativeRecord,
+          nativeDriver: comparison.native,
+          contender: contenderRecord,
+          contenderDriver: contender
+        };
+
+        if (!nativeRecord.error && !contenderRecord.error) {
+          if (nativeRecord.sample.length < 2 || contenderRecord.sample.length < 2) {
+            // A confidence interval needs the variance of both sides
+            pair.insufficient = true;
+          } else {
+            // Samples are seconds per operation, so contender time / native time
+            // is how many times faster native is
+            pair.interval = ratioConfidenceInterval(contenderRecord.sample, nativeRecord.sample, CONFIDENCE);
+          }
+        }
+        pairs.push(pair);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+// Side-by-side rows of the native cases that have async control cases, e.g.
+// "Native better-sqlite3 (setImmediate) - Select By Id", with the contender cases of the
+// same operation. Returns [{ native, columns: [driver...], rows: [{ operation, size, records }] }].
+function controlTables(records) {
+  const tables = [];
+
+  for (const comparison of COMPARISONS) {
+    const controlPrefix = `${comparison.native} (`;
+    const driverOf = record => parseCaseName(record.name).driver;
+    const controls = [...new Set(records.map(driverOf))]
+      .filter(driver => driver.startsWith(controlPrefix) && driver.endsWith(')'));
+    if (controls.length === 0) continue;
+
+    const contenders = comparison.contenders.filter(contender => records.some(record => driverOf(record) === contender));
+    const columns = [comparison.native, ...controls, ...contenders];
+    const rows = [];
+
+    for (const nativeRecord of records) {
+      const nativeCase = parseCaseName(nativeRecord.name);
+      if (nativeCase.driver !== comparison.native) continue;
+
+      const sameOperation = driver => records.find(record => {
+        if (!sameRun(record, nativeRecord)) return false;
+        const recordCase = parseCaseName(record.name);
+        return recordCase.driver === driver && operationKey(recordCase.operation) === operationKey(nativeCase.operation);
+      });
+      rows.push({
+        operation: nativeCase.operation,
+        size: nativeRecord.size,
+        records: columns.map(driver => driver === comparison.native ? nativeRecord : sameOperation(driver))
+      });
+    }
+
+    tables.push({ native: comparison.native, columns, rows });
+  }
+
+  return tables;
+}
+
+// Verdict for a pair: which side is faster, or no significant difference
+// when the confidence interval contains 1
+function verdict(pair, strings) {
+  const interval = pair.interval;
+  if (pair.insufficient) return strings.insufficient;
+  if (!interval) return strings.failed;
+  if (!(interval.low > 1 || interval.high < 1)) return strings.same;
+  if (interval.ratio > 1) return strings.faster('Native', formatRatio(interval.ratio));
+  return strings.faster(pair.contenderDriver, formatRatio(1 / interval.ratio));
+}
+
+function formatResultLine(record, strings) {
+  if (record.error) return `${record.name}: ${strings.failed} (${record.error})`;
+  const latency = record.latency ? ` [${formatSummary(record.latency)}]` : '';
+  return `${record.name}: ${Math.round(record.hz).toLocaleString('en-US')} ops/sec ±${record.rme.toFixed(2)}% (${record.samples} ${strings.runsSampled})${latency}`;
+}
+
+// Group records by a key while keeping first-seen order
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Render the Markdown results block: raw results per group followed by
+// the native-vs-query-builder ratio analysis
+function renderMarkdown(records, options = {}) {
+  const strings = getStrings(options.lang);
+  const lines = [`## ${strings.results}`, ''];
+
+  for (const groupRecords of groupBy(records, record => `${record.suite}|${groupLabel(record)}`).values()) {
+    lines.push(`### ${groupLabel(groupRecords[0])} (${groupRecords[0].suite}):`);
+    lines.push('```');
+    for (const record of groupRecords) lines.push(formatResultLine(record, strings));
+    lines.push('```', '');
+  }
+
+  const pairs = pairResults(records);
+  if (pairs.length > 0) {
+    lines.push(`## ${strings.analysis}`, '', strings.intro, '');
+
+    const byDrivers = groupBy(pairs, pair => `${pair.nativeDriver} vs ${pair.contenderDriver}`);
+    for (const [title, driverPairs] of byDrivers) {
+      lines.push(`### ${title}`, '');
+      lines.push(`| ${strings.operation} | ${driverPairs[0].nativeDriver} | ${driverPairs[0].contenderDriver} | ${strings.ratio} | ${strings.verdict} |`);
+      lines.push('|---|---:|---:|---:|---|');
+      for (const pair of driverPairs) {
+        const interval = pair.interval;
+        const ratio = interval
+          ? `${formatRatio(interval.ratio)}x (${formatRatio(interval.low)}–${formatRatio(interval.high)})`
+          : '-';
+        const operation = operationLabel(pair.operation, pair.native);
+        lines.push(`| ${operation} | ${Math.round(pair.native.hz || 0).toLocaleString('en-US')} | ${Math.round(pair.contender.hz || 0).toLocaleString('en-US')} | ${ratio} | ${verdict(pair, strings)} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  for (const table of controlTables(records)) {
+    lines.push(`## ${strings.controls}: ${table.native}`, '', strings.controlsIntro, '');
+    lines.push(`| ${strings.operation} | ${table.columns.join(' | ')} |`);
+    lines.push(`|---|${table.columns.map(() => '---:').join('|')}|`);
+    for (const row of table.rows) {
+      const operation = operationLabel(row.operation, row.records[0]);
+      const cells = row.records.map(record => {
+        if (!record) return '-';
+        return record.error ? strings.failed : Math.round(record.hz || 0).toLocaleString('en-US');
+      });
+      lines.push(`| ${operation} | ${cells.join(' | ')} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push(strings.generated(new Date().toISOString().slice(0, 10)));
+  return lines.join('\n') + '\n';
+}
+
+// Replace the generated block between the README markers with new content.
+// Markers only count when they stand on a line of their own.
+function updateReadme(file, markdown) {
+  const readme = fs.readFileSync(file, 'utf8');
+  const block = new RegExp(`^${README_START}\\n[\\s\\S]*?^${README_END}$`, 'm');
+  if (!block.test(readme)) {
+    throw new Error(`${file} has no ${README_START} ... ${README_END} block to replace`);
+  }
+  fs.writeFileSync(file, readme.replace(block, () => `${README_START}\n${markdown}${README_END}`));
+}
+
+module.exports = {
+  COMPARISONS,
+  pairResults,
+  controlTables,
+  formatRatio,
+  formatGap,
+  parseCaseName,
+  renderMarkdown,
+  updateReadme
+};
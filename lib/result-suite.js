@@ -0,0 +1,47 @@
+const { mean, variance, tCritical } = require('./stats');
+
+// Suites that time their cases themselves instead of running them on Benchmark.js
+// (lib/concurrency.js, lib/wal-metrics.js, lib/pg-pool.js) return their results
+// shaped like a completed Benchmark.js suite: an array of cases with name, hz and
+// stats, plus counters and latency histograms keyed by case name (see
+// lib/harness.js). That way displayResults() and the result files
+// (lib/results.js) handle them as usual.
+
+function createResultSuite(name) {
+  const suite = [];
+  suite.name = name;
+  suite.counters = new Map();
+  suite.latencies = new Map();
+  return suite;
+}
+
+// Completed case of hz operations per second. sample holds seconds per
+// operation, one value per time slice or round, from which the ±rme is
+// computed like Benchmark.js does (95% confidence). mean is the mean time per
+// operation, the mean of the sample by default. fields are added to the case,
+// e.g. counters and details.
+function completedCase(name, { hz, sample, mean: meanTime }, fields = {}) {
+  const sampleMean = sample.length ? mean(sample) : 0;
+  const deviation = Math.sqrt(variance(sample));
+  const rme = sample.length > 1 && sampleMean > 0
+    ? tCritical(sample.length - 1) * (deviation / Math.sqrt(sample.length)) / sampleMean * 100
+    : 0;
+  return {
+    name,
+    hz,
+    stats: { rme, deviation, mean: meanTime === undefined ? sampleMean : meanTime, sample },
+    error: null,
+    ...fields
+  };
+}
+
+// Case that failed with error before it could be timed
+function failedCase(name, error) {
+  return { name, hz: 0, stats: { rme: 0, deviation: 0, mean: 0, sample: [] }, error };
+}
+
+module.exports = {
+  createResultSuite,
+  completedCase,
+  failedCase
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { PERCENTILES, percentileKey, summarizeHistogram, histogramBuckets } = require('./latency');
+
+// Columns written to CSV files, in order. The raw sample array is stored as
+// a single ";"-separated column so that one row stays one benchmark case.
+// Latency percentiles get one column each, e.g. latency_p99.
+const LATENCY_COLUMNS = PERCENTILES.map(p => `latency_${percentileKey(p)}`);
+const CSV_COLUMNS = ['suite', 'group', 'size', 'rtt', 'indexes', 'name', 'hz', 'rme', 'deviation', 'mean', 'samples', 'calls', 'changes', 'rows', ...LATENCY_COLUMNS, 'sample', 'error'];
+
+// Turn a completed Benchmark.js case into a plain result record.
+// calls / changes / rows come from the case's counters (lib/harness.js) and
+// are null for cases that do not report them. latency holds the percentiles of
+// the case's latency histogram (lib/latency.js) and histogram its buckets, which
+// are kept in JSON files only, like the extra measurements in details that cases
+// of suites not running on Benchmark.js may carry (see lib/concurrency.js).
+function toRecord(suiteName, group, benchmark, counters, histogram) {
+  const stats = benchmark.stats;
+  const observed = counters && counters.observed > 0;
+  const timed = histogram && histogram.count > 0;
+  return {
+    suite: suiteName,
+    group,
+    name: benchmark.name,
+    hz: benchmark.hz,
+    rme: stats.rme,
+    deviation: stats.deviation,
+    mean: stats.mean,
+    samples: stats.sample.length,
+    calls: observed ? counters.calls : null,
+    changes: observed ? counters.changes : null,
+    rows: observed ? counters.rows : null,
+    latency: timed ? summarizeHistogram(histogram) : null,
+    histogram: timed ? histogramBuckets(histogram) : null,
+    sample: stats.sample.slice(),
+    error: benchmark.error ? String(benchmark.error.message || benchmark.error) : null,
+    ...(benchmark.details ? { details: benchmark.details } : {})
+  };
+}
+
+// Collect result records from the output of runSuites() in benchmark.js:
+// [{ name: 'sqlite', suites: [Benchmark.Suite, ...], indexes }, ...]
+// Records of a run with an index set (see lib/indexes.js) are tagged with it.
+function collectResults(runs) {
+  const records = [];
+  for (const { name, suites, indexes } of runs) {
+    for (const suite of suites) {
+      suite.forEach(benchmark => {
+        const counters = suite.counters && suite.counters.get(benchmark.name);
+        const histogram = suite.latencies && suite.latencies.get(benchmark.name);
+        const record = toRecord(name, suite.name, benchmark, counters, histogram);
+        records.push(indexes ? { ...record, indexes } : record);
+      });
+    }
+  }
+  return records;
+}
+
+// Build the document stored in a result file
+function createResultDocument(records, meta = {}) {
+  return {
+    createdAt: new Date().toISOString(),
+    node: process.version,
+    platform: `${process.platform} ${process.arch}`,
+    ...meta,
+    results: records
+  };
+}
+
+// Resolve the output format from an explicit --format value or the file extension
+function resolveFormat(file, format) {
+  const resolved = (format || path.extname(file).slice(1) || 'json').toLowerCase();
+  if (resolved !== 'json' && resolved !== 'csv') {
+    throw new Error(`Unsupported result format "${resolved}", expected json or csv`);
+  }
+  return resolved;
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(column => {
+      if (column === 'sample') return escapeCsv(record.sample.join(';'));
+      if (LATENCY_COLUMNS.includes(column)) return escapeCsv(record.latency && record.latency[column.slice('latency_'.length)]);
+      return escapeCsv(record[column]);
+    }).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Split CSV text into rows of fields, honouring quoted fields
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  return rows.map(row => {
+    const raw = Object.fromEntries(header.map((column, i) => [column, row[i]]));
+    return {
+      suite: raw.suite,
+      group: raw.group,
+      size: raw.size ? Number(raw.size) : undefined,
+      rtt: raw.rtt ? Number(raw.rtt) : undefined,
+      indexes: raw.indexes || undefined,
+      name: raw.name,
+      hz: Number(raw.hz),
+      rme: Number(raw.rme),
+      deviation: Number(raw.deviation),
+      mean: Number(raw.mean),
+      samples: Number(raw.samples),
+      calls: raw.calls ? Number(raw.calls) : null,
+      changes: raw.changes ? Number(raw.changes) : null,
+      rows: raw.rows ? Number(raw.rows) : null,
+      latency: raw[LATENCY_COLUMNS[0]]
+        ? Object.fromEntries(LATENCY_COLUMNS.map(column => [column.slice('latency_'.length), raw[column] ? Number(raw[column]) : null]))
+        : null,
+      sample: raw.sample ? raw.sample.split(';').map(Number) : [],
+      error: raw.error || null
+    };
+  });
+}
+
+// Write result records to a JSON or CSV file, creating its directory if needed.
+// CSV files only hold the records; run metadata is kept in JSON files only.
+function writeResults(file, records, { format, meta } = {}) {
+  const resolvedFormat = resolveFormat(file, format);
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  const content = resolvedFormat === 'csv'
+    ? toCsv(records)
+    : JSON.stringify(createResultDocument(records, meta), null, 2) + '\n';
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// Read a result file written by writeResults() back into a result document
+function readResults(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (resolveFormat(file) === 'csv') {
+    return { results: fromCsv(content) };
+  }
+  const document = JSON.parse(content);
+  if (!Array.isArray(document.results)) {
+    throw new Error(`${file} is not a benchmark result file`);
+  }
+  return document;
+}
+
+// Most recently written result file in a directory, or null when there is none
+function latestResultFile(dir) {
+  if (!fs.existsSync(dir)) return null;
+  const files = fs.readdirSync(dir)
+    .filter(file => /\.(json|csv)$/.test(file))
+    .map(file => path.join(dir, file))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return files[0] || null;
+}
+
+// Read several result files and merge their records.
+// When the same case appears in more than one file, the later file wins.
+function loadResultFiles(files) {
+  const byKey = new Map();
+  for (const file of files) {
+    for (const record of readResults(file).results) {
+      byKey.set(recordKey(record), record);
+    }
+  }
+  return [...byKey.values()];
+}
+
+// What sets the run of a record apart: the dataset size of a scale run, the
+// round-trip time of a network run and the index set of a run with --indexes,
+// e.g. ["10,000 rows", "indexes: age"]
+function runQualifiers(record) {
+  return [
+    ...(record.size ? [`${record.size.toLocaleString('en-US')} rows`] : []),
+    ...(record.rtt !== undefined ? [`${record.rtt} ms RTT`] : []),
+    ...(record.indexes ? [`indexes: ${record.indexes}`] : [])
+  ];
+}
+
+// Group name including the qualifiers of its run,
+// e.g. "Select Operations (10,000 rows)" or "Select Operations (20 ms RTT)"
+function groupLabel(record) {
+  const qualifiers = runQualifiers(record);
+  return qualifiers.length > 0 ? `${record.group} (${qualifiers.join(', ')})` : record.group;
+}
+
+// Key that identifies the same benchmark case across result files
+function recordKey(record) {
+  return `${record.suite} / ${groupLabel(record)} / ${record.name}`;
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  collectResults,
+  createResultDocument,
+  writeResults,
+  readResults,
+  latestResultFile,
+  loadResultFiles,
+  runQualifiers,
+  groupLabel,
+  recordKey
+};
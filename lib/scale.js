@@ -0,0 +1,47 @@
+const { pairResults, formatGap } = require('./report');
+
+// Table sizes used by "bench scale" when --sizes is not given
+const DEFAULT_SIZES = [100, 10000, 100000, 1000000];
+
+// Parse "100,10k,100k,1m" into [100, 10000, 100000, 1000000]
+function parseSizes(value, flag = '--sizes') {
+  if (!value) return DEFAULT_SIZES;
+  const multipliers = { k: 1e3, m: 1e6 };
+  return value.split(',').map(part => {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([km]?)\s*$/i.exec(part);
+    const size = match ? Math.round(Number(match[1]) * (multipliers[match[2].toLowerCase()] || 1)) : NaN;
+    if (!(size > 0)) {
+      throw new Error(`${flag} expects a comma-separated list of positive row counts, got "${part}"`);
+    }
+    return size;
+  });
+}
+
+// Display how the native-vs-query-builder ratio of every operation changes
+// with the table size. Ratios are native ops/sec divided by the other driver's.
+function displayScaleReport(records) {
+  const pairs = pairResults(records);
+  const sizes = [...new Set(pairs.map(pair => pair.size))].sort((a, b) => a - b);
+  const rows = new Map();
+
+  for (const pair of pairs) {
+    const key = `${pair.suite}: ${pair.nativeDriver} vs ${pair.contenderDriver} - ${pair.operation}`;
+    if (!rows.has(key)) rows.set(key, new Map());
+    rows.get(key).set(pair.size, formatGap(pair));
+  }
+
+  const labelWidth = Math.max(...[...rows.keys()].map(key => key.length), 10);
+  const columnWidth = 22;
+  console.log('\n=== NATIVE VS QUERY BUILDER GAP BY TABLE SIZE ===');
+  console.log('(native ops/sec divided by the other driver\'s, 95% confidence interval)\n');
+  console.log(''.padEnd(labelWidth) + sizes.map(size => `${size.toLocaleString('en-US')} rows`.padStart(columnWidth)).join(''));
+  for (const [key, bySize] of rows) {
+    console.log(key.padEnd(labelWidth) + sizes.map(size => (bySize.get(size) || '-').padStart(columnWidth)).join(''));
+  }
+}
+
+module.exports = {
+  DEFAULT_SIZES,
+  parseSizes,
+  displayScaleReport
+};
@@ -0,0 +1,254 @@
+const { createSuite, countRows, countChanges, ASYNC_CONTROLS } = require('./harness');
+const { addPhaseCases } = require('./profile');
+const { createRandom, sharedRandom } = require('./random');
+
+// CRUD scenarios shared by the SQLite and Postgres suites. Every scenario is
+// defined once here and added for every driver of a suite, so a new scenario or
+// a new driver (see lib/drivers/) is a single addition.
+//
+// A driver looks like:
+//   {
+//     name: 'Native better-sqlite3',    // case name prefix
+//     sync: true,                       // operations return results instead of promises
+//     labels: { insertBatch: '...' },   // optional case names that differ from the scenario name
+//     connection,                       // SQLite drivers: raw connection used for table state,
+//                                       // index sets and query plans
+//     pool,                             // native pg driver: its pg.Pool, used for index sets and query plans
+//     open(), close(), createSchema(), seed(users),
+//     operations: { insertOne, insertBatch, selectAll, selectById, selectByAge,
+//                   updateAge, deleteById, ageStats, lastUsers },
+//     rolledBack(fn),                   // resolves to fn(operations), run in a transaction
+//                                       // or savepoint that is rolled back afterwards
+//     profile: { build, compile }       // optional, query builders only: build.<operation>(...args)
+//                                       // returns the unexecuted query, compile(query) compiles it,
+//                                       // see lib/profile.js
+//   }
+// Reads return rows (selectById and ageStats a single row), writes the number of changed rows.
+
+const SCENARIOS = [
+  { suite: 'Insert Operations', name: 'Single Insert', operation: 'insertOne', mutates: true, args: input => [input.user()] },
+  { suite: 'Insert Operations', name: 'Batch Insert', operation: 'insertBatch', mutates: true, args: input => [input.users(5)] },
+  { suite: 'Select Operations', name: 'Select All', operation: 'selectAll', args: () => [20] },
+  { suite: 'Select Operations', name: 'Select By Id', operation: 'selectById', args: input => [input.id()] },
+  { suite: 'Select Operations', name: 'Select By Condition', operation: 'selectByAge', args: () => [30, 20] },
+  { suite: 'Update Operations', name: 'Update Single Record', operation: 'updateAge', mutates: true, args: input => [input.id(), input.age()] },
+  { suite: 'Delete Operations', name: 'Delete Single Record', operation: 'deleteById', mutates: true, deletes: true, args: input => [input.id()] },
+  { suite: 'Complex Operations', name: 'Complex Query', operation: 'ageStats', args: () => [30] }
+];
+
+// Suite names in the order the suites run
+const SUITE_NAMES = [...new Set(SCENARIOS.map(scenario => scenario.suite))];
+
+// Rows returned by lastUsers() in the equivalence check of a write
+const CHECKED_ROWS = 6;
+
+// Generate random user data; the age is drawn from random (see lib/random.js)
+function generateUser(i, random = sharedRandom('users')) {
+  return {
+    name: `User ${i}`,
+    email: `user${i}@example.com`,
+    age: Math.floor(random() * 50) + 18
+  };
+}
+
+function generateUsers(count, random) {
+  return Array.from({ length: count }, (_, i) => generateUser(i, random));
+}
+
+// Arguments of timed iterations: a random row, user and age on every call
+function randomInputs(numRecords, random) {
+  return {
+    id: () => Math.floor(random() * numRecords) + 1,
+    age: () => Math.floor(random() * 50) + 18,
+    user: () => generateUser(random(), random),
+    users: count => generateUsers(count, random)
+  };
+}
+
+// Arguments of the equivalence check, generated once and shared by every driver
+function fixedArgs(scenario, numRecords) {
+  const random = createRandom(`check/${scenario.name}`);
+  const user = generateUser(0, random);
+  const users = generateUsers(5, random);
+  return scenario.args({
+    id: () => Math.ceil(numRecords / 2),
+    age: () => 40,
+    user: () => user,
+    users: count => users.slice(0, count)
+  });
+}
+
+function caseName(driver, scenario) {
+  const label = (driver.labels && driver.labels[scenario.operation]) || scenario.name;
+  return `${driver.name} - ${label}`;
+}
+
+function operationOf(driver, scenario) {
+  const operation = driver.operations[scenario.operation];
+  if (typeof operation !== 'function') {
+    throw new Error(`${driver.name} does not implement ${scenario.operation}()`);
+  }
+  return operation;
+}
+
+// Deferred Benchmark.js fn running run(), which resolves to the result of the operation
+function deferredFn(run, record) {
+  return function(deferred) {
+    run().then(result => {
+      record(result);
+      deferred.resolve();
+    }, err => {
+      console.error('Benchmark error:', err);
+      deferred.resolve();
+    });
+  };
+}
+
+// Benchmark.js case options for a scenario on a driver. Cases of promise-based
+// drivers that change data also get a rolledBackFn running every iteration through
+// the driver's rolledBack(), for the table state strategies (see lib/state.js).
+function scenarioCase(driver, scenario, inputs) {
+  const operation = operationOf(driver, scenario);
+  const record = scenario.mutates ? countChanges : countRows;
+  const state = { mutates: Boolean(scenario.mutates), deletes: Boolean(scenario.deletes) };
+
+  if (driver.sync) {
+    return {
+      minSamples: 5,
+      ...state,
+      fn: function() {
+        record(operation(...scenario.args(inputs)));
+      }
+    };
+  }
+
+  return {
+    minSamples: 5,
+    defer: true,
+    ...state,
+    fn: deferredFn(() => operation(...scenario.args(inputs)), record),
+    ...(scenario.mutates ? {
+      rolledBackFn: deferredFn(() => driver.rolledBack(operations => operations[scenario.operation](...scenario.args(inputs))), record)
+    } : {})
+  };
+}
+
+// Driver name of an async control case of a synchronous driver, e.g.
+// "Native better-sqlite3 (setImmediate)", see ASYNC_CONTROLS in lib/harness.js
+function controlDriverName(driver, control) {
+  return `${driver.name} (${control})`;
+}
+
+// Benchmark.js case options running a synchronous driver's scenario through an async control
+function asyncControlCase(driver, scenario, inputs, control) {
+  const operation = operationOf(driver, scenario);
+  const record = scenario.mutates ? countChanges : countRows;
+  return {
+    minSamples: 5,
+    mutates: Boolean(scenario.mutates),
+    deletes: Boolean(scenario.deletes),
+    ...ASYNC_CONTROLS[control](() => record(operation(...scenario.args(inputs))))
+  };
+}
+
+// The driver a case added by addScenarioCases() runs on, async control cases included
+function driverOfCase(drivers, name) {
+  const driverName = name.slice(0, name.indexOf(' - '));
+  return drivers.find(driver => driverName === driver.name ||
+    Object.keys(ASYNC_CONTROLS).some(control => driverName === controlDriverName(driver, control)));
+}
+
+// Create one suite per scenario group, see createSuite() for the options
+function createScenarioSuites(options) {
+  return SUITE_NAMES.map(name => createSuite(name, options));
+}
+
+// Add every scenario for every driver to its suite, grouped by scenario.
+// options.asyncControls also adds the async control cases of the first (native)
+// driver when it is synchronous, see ASYNC_CONTROLS in lib/harness.js.
+// options.profile also adds the phase cases of drivers with a profile, see lib/profile.js.
+// Every case draws its inputs from its own random stream of the scenario, so all
+// drivers run a scenario on the same sequence of rows, users and ages.
+function addScenarioCases(suites, drivers, numRecords, options = {}) {
+  const [native] = drivers;
+  for (const scenario of SCENARIOS) {
+    const suite = suites.find(candidate => candidate.name === scenario.suite);
+    const inputs = () => randomInputs(numRecords, createRandom(`inputs/${scenario.name}`));
+    for (const driver of drivers) {
+      suite.add(caseName(driver, scenario), scenarioCase(driver, scenario, inputs()));
+      if (options.asyncControls && driver === native && driver.sync) {
+        for (const control of Object.keys(ASYNC_CONTROLS)) {
+          const name = caseName({ ...driver, name: controlDriverName(driver, control) }, scenario);
+          suite.add(name, asyncControlCase(driver, scenario, inputs(), control));
+        }
+      }
+      if (options.profile && driver.profile) {
+        const phaseInputs = inputs();
+        addPhaseCases(suite, caseName(driver, scenario), {
+          build: driver.profile.build[scenario.operation],
+          compile: driver.profile.compile,
+          args: () => scenario.args(phaseInputs)
+        });
+      }
+    }
+  }
+}
+
+// Case names of every scenario for displayPhaseProfile(): the first driver's
+// case as the native reference and the cases of the drivers with a profile
+function scenarioProfiles(drivers) {
+  const [native] = drivers;
+  return SCENARIOS.map(scenario => {
+    const cases = {};
+    for (const driver of drivers) {
+      if (driver.profile) cases[driver.name] = caseName(driver, scenario);
+    }
+    return { operation: scenario.name, native: caseName(native, scenario), cases };
+  });
+}
+
+// Equivalence checks (see lib/equivalence.js) running every scenario once per driver
+// with the same arguments. Writes are rolled back and compare the changed row count
+// plus the last rows of the table.
+function scenarioChecks(drivers, numRecords) {
+  return SCENARIOS.map(scenario => {
+    const args = fixedArgs(scenario, numRecords);
+    const cases = {};
+    for (const driver of drivers) {
+      cases[caseName(driver, scenario)] = scenario.mutates
+        ? () => driver.rolledBack(async operations => ({
+          changes: await operations[scenario.operation](...args),
+          rows: await operations.lastUsers(CHECKED_ROWS)
+        }))
+        : async () => operationOf(driver, scenario)(...args);
+    }
+    return { operation: scenario.name, cases };
+  });
+}
+
+// Every scenario run once per driver with the arguments of the equivalence check,
+// writes rolled back, e.g. to trace the statements of each case (see lib/plans.js).
+// Returns [{ name, driver, run }], name being the case name.
+function scenarioRuns(drivers, numRecords) {
+  return SCENARIOS.flatMap(scenario => {
+    const args = fixedArgs(scenario, numRecords);
+    return drivers.map(driver => ({
+      name: caseName(driver, scenario),
+      driver,
+      run: scenario.mutates
+        ? () => driver.rolledBack(operations => operations[scenario.operation](...args))
+        : async () => operationOf(driver, scenario)(...args)
+    }));
+  });
+}
+
+module.exports = {
+  SCENARIOS,
+  generateUser,
+  createScenarioSuites,
+  addScenarioCases,
+  driverOfCase,
+  scenarioChecks,
+  scenarioRuns,
+  scenarioProfiles
+};
@@ -0,0 +1,249 @@
+// Table state management for benchmark cases that change data (cases added
+// with `mutates: true`).
+// Without it, delete cases empty the table, insert cases grow it without bound
+// and every later case measures a different table than the one before it.
+// Restoring after every cycle is not enough for cases that delete (added with
+// `deletes: true`): a cycle of a fast delete case deletes most rows of a small
+// table, so its later iterations measure misses. Under the snapshot and reseed
+// strategies they roll back every iteration instead, like under savepoint.
+const path = require('path');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+
+const STATE_STRATEGIES = {
+  none: 'leave the table as previous cycles left it',
+  snapshot: 'restore the seeded rows from a snapshot table before each case and after every cycle',
+  savepoint: 'wrap every iteration in a savepoint that is rolled back (the savepoint cost is measured too)',
+  reseed: 're-generate and re-insert the seed rows before each case and after every cycle'
+};
+
+const DEFAULT_STATE_STRATEGY = 'snapshot';
+
+// How long rows inserted by a case stay in the table under each strategy,
+// see workloadCase() in lib/workloads.js
+const INSERT_LIFETIMES = { snapshot: 'cycle', reseed: 'cycle', savepoint: 'iteration', none: 'run' };
+
+// Case options only the state managers read; without one they are dropped
+const STATE_CASE_OPTIONS = ['mutates', 'deletes', 'rolledBackFn'];
+
+function validateStrategy(strategy) {
+  if (!STATE_STRATEGIES[strategy]) {
+    throw new Error(`Unknown state strategy "${strategy}", expected one of: ${Object.keys(STATE_STRATEGIES).join(', ')}`);
+  }
+  return strategy;
+}
+
+// Chain an event handler option after an existing one
+function chain(existing, handler) {
+  if (!existing) return handler;
+  return function(...args) {
+    existing.apply(this, args);
+    return handler.apply(this, args);
+  };
+}
+
+// Wrap a case's fn so that every iteration runs inside a savepoint that is rolled back
+function withSavepoint(connection, caseOptions) {
+  const fn = caseOptions.fn;
+  const begin = () => connection.exec('SAVEPOINT bench_iteration');
+  const end = () => connection.exec('ROLLBACK TO bench_iteration; RELEASE bench_iteration');
+
+  if (!caseOptions.defer) {
+    return {
+      ...caseOptions,
+      fn: function() {
+        begin();
+        try {
+          return fn.call(this);
+        } finally {
+          end();
+        }
+      }
+    };
+  }
+
+  return {
+    ...caseOptions,
+    fn: function(deferred) {
+      begin();
+      return fn.call(this, {
+        benchmark: deferred.benchmark,
+        resolve() {
+          end();
+          deferred.resolve();
+        }
+      });
+    }
+  };
+}
+
+// Run fn inside a savepoint on a synchronous SQLite connection and roll it back
+// afterwards, e.g. to execute a write once without changing the table
+async function withRollback(connection, fn) {
+  connection.exec('SAVEPOINT rolled_back');
+  try {
+    return await fn();
+  } finally {
+    connection.exec('ROLLBACK TO rolled_back; RELEASE rolled_back');
+  }
+}
+
+// State manager for SQLite suites. All restores go through synchronous
+// better-sqlite3 connections so they can run inside Benchmark.js events.
+// - connectionFor(caseName): the better-sqlite3 connection the case runs on
+// - reseed(connection): inserts the seed rows into an empty table
+function createSqliteState(strategy, { connectionFor, reseed, table = 'users' }) {
+  validateStrategy(strategy);
+  const snapshotTable = `${table}_snapshot`;
+
+  // Reset AUTOINCREMENT to the highest id in the table, so that re-seeded rows
+  // get ids 1..n again and rows inserted after a restore get the same ids as before
+  const resetSequence = connection => {
+    connection.prepare(`UPDATE sqlite_sequence SET seq = (SELECT COALESCE(MAX(id), 0) FROM ${table}) WHERE name = ?`).run(table);
+  };
+
+  const restore = connection => {
+    connection.exec(`DELETE FROM ${table}`);
+    resetSequence(connection);
+    if (strategy === 'snapshot') {
+      connection.exec(`INSERT INTO ${table} SELECT * FROM ${snapshotTable}`);
+    } else {
+      reseed(connection);
+    }
+    resetSequence(connection);
+  };
+
+  return {
+    strategy,
+
+    // Record the seeded state; call once per connection after seeding
+    capture(connection) {
+      if (strategy !== 'snapshot') return;
+      connection.exec(`DROP TABLE IF EXISTS ${snapshotTable}`);
+      connection.exec(`CREATE TABLE ${snapshotTable} AS SELECT * FROM ${table}`);
+    },
+
+    // Only cases declaring `mutates: true` are wrapped; read-only cases are left untouched
+    wrapCase(caseName, { mutates, deletes, rolledBackFn, ...caseOptions }) {
+      if (!mutates || strategy === 'none') return caseOptions;
+
+      const connection = connectionFor(caseName);
+      if (strategy === 'savepoint' || deletes) return withSavepoint(connection, caseOptions);
+
+      const onRestore = () => restore(connection);
+      return {
+        ...caseOptions,
+        onStart: chain(caseOptions.onStart, onRestore),
+        onCycle: chain(caseOptions.onCycle, onRestore)
+      };
+    }
+  };
+}
+
+const PG_STATE_WORKER = path.join(__dirname, 'pg-state-worker.js');
+
+// Longest a restore may block the benchmark, in ms
+const PG_RESTORE_TIMEOUT = 10 * 60 * 1000;
+
+// PostgreSQL client whose queries block until they are done, so that restores
+// can run inside Benchmark.js events like the SQLite ones. The client lives in a
+// worker thread (lib/pg-state-worker.js) while the main thread waits on a shared
+// flag; the pools of the drivers are idle meanwhile.
+// clientOptions: options passed to pg.Client
+function createBlockingPgClient(clientOptions) {
+  const done = new Int32Array(new SharedArrayBuffer(4));
+  const { port1, port2 } = new MessageChannel();
+  const worker = new Worker(PG_STATE_WORKER, {
+    workerData: { clientOptions, done, port: port2 },
+    transferList: [port2]
+  });
+
+  return {
+    query(text, values) {
+      Atomics.store(done, 0, 0);
+      port1.postMessage({ text, values });
+      if (Atomics.wait(done, 0, 0, PG_RESTORE_TIMEOUT) === 'timed-out') {
+        throw new Error(`Table state query did not finish within ${PG_RESTORE_TIMEOUT / 1000}s: ${text}`);
+      }
+      const { error } = receiveMessageOnPort(port1).message;
+      if (error) throw new Error(`Table state query failed: ${error}`);
+    },
+    close: () => worker.terminate()
+  };
+}
+
+// State manager for the postgres suite, whose drivers all share one table.
+// Restores run on their own client, see createBlockingPgClient(). Per-iteration
+// rollbacks (savepoint, and cases that delete) cannot wrap fn from outside, as
+// the drivers query through their own pools, so they replace it with the case's
+// rolledBackFn, which runs the iteration through the driver's rolledBack().
+// - clientOptions: options passed to pg.Client
+// - reseed(query): inserts the seed rows into an empty table; query(text, values) blocks
+function createPgState(strategy, { clientOptions, reseed, table = 'users' }) {
+  validateStrategy(strategy);
+  const snapshotTable = `${table}_snapshot`;
+  const client = strategy === 'snapshot' || strategy === 'reseed' ? createBlockingPgClient(clientOptions) : null;
+
+  // Continue the id sequence after the highest id in the table, so that rows
+  // inserted after a restore get the same ids as before
+  const resetSequence = () => {
+    client.query(`SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE(MAX(id), 0) + 1, false) FROM ${table}`);
+  };
+
+  const restore = () => {
+    client.query(`TRUNCATE ${table} RESTART IDENTITY`);
+    if (strategy === 'snapshot') {
+      client.query(`INSERT INTO ${table} SELECT * FROM ${snapshotTable}`);
+    } else {
+      reseed(client.query);
+    }
+    resetSequence();
+  };
+
+  return {
+    strategy,
+
+    // Record the seeded state; call once after seeding
+    capture() {
+      if (strategy !== 'snapshot') return;
+      client.query(`DROP TABLE IF EXISTS ${snapshotTable}`);
+      client.query(`CREATE TABLE ${snapshotTable} AS SELECT * FROM ${table}`);
+    },
+
+    // Only cases declaring `mutates: true` are wrapped; read-only cases are left untouched
+    wrapCase(caseName, { mutates, deletes, rolledBackFn, ...caseOptions }) {
+      if (!mutates || strategy === 'none') return caseOptions;
+
+      if (strategy === 'savepoint' || deletes) {
+        if (!rolledBackFn) throw new Error(`${caseName} cannot roll back its iterations`);
+        return { ...caseOptions, fn: rolledBackFn };
+      }
+
+      return {
+        ...caseOptions,
+        onStart: chain(caseOptions.onStart, restore),
+        onCycle: chain(caseOptions.onCycle, restore)
+      };
+    },
+
+    // Drop the snapshot table and stop the restore client
+    async close() {
+      if (!client) return;
+      try {
+        if (strategy === 'snapshot') client.query(`DROP TABLE IF EXISTS ${snapshotTable}`);
+      } finally {
+        await client.close();
+      }
+    }
+  };
+}
+
+module.exports = {
+  STATE_STRATEGIES,
+  DEFAULT_STATE_STRATEGY,
+  INSERT_LIFETIMES,
+  STATE_CASE_OPTIONS,
+  validateStrategy,
+  withRollback,
+  createSqliteState,
+  createPgState
+};
@@ -0,0 +1,165 @@
+// Small statistics helpers used to compare benchmark samples.
+// Benchmark.js samples are seconds per operation, one value per cycle.
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Unbiased sample variance
+function variance(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1);
+}
+
+// Percentile (0-100) of a sample using linear interpolation between closest ranks
+function percentile(values, p) {
+  if (values.length === 0) return NaN;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Natural log of the gamma function (Lanczos approximation)
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction used by the regularized incomplete beta function
+function betaContinuedFraction(x, a, b) {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const FPMIN = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value of Student's t distribution with `df` degrees of freedom
+function tTwoSidedPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Welch's unequal-variance t-test on two independent samples.
+// Returns { t, df, pValue }; pValue is 1 when either sample is too small to test.
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) {
+    return { t: 0, df: 0, pValue: 1 };
+  }
+
+  const varA = variance(a) / a.length;
+  const varB = variance(b) / b.length;
+  const standardError = Math.sqrt(varA + varB);
+  if (standardError === 0) {
+    const identical = mean(a) === mean(b);
+    return { t: identical ? 0 : Infinity, df: a.length + b.length - 2, pValue: identical ? 1 : 0 };
+  }
+
+  const t = (mean(a) - mean(b)) / standardError;
+  const df = (varA + varB) ** 2 /
+    (varA ** 2 / (a.length - 1) + varB ** 2 / (b.length - 1));
+  return { t, df, pValue: tTwoSidedPValue(t, df) };
+}
+
+// Critical value t such that P(|T| > t) = 1 - confidence, found by bisection
+function tCritical(df, confidence = 0.95) {
+  const target = 1 - confidence;
+  let low = 0;
+  let high = 1000;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (tTwoSidedPValue(middle, df) > target) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+// Ratio mean(a) / mean(b) with a confidence interval computed on the log scale
+// (delta method) using Welch-Satterthwaite degrees of freedom.
+// With time-per-operation samples, mean(slow) / mean(fast) is the speedup of `fast`.
+function ratioConfidenceInterval(a, b, confidence = 0.95) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  const ratio = meanA / meanB;
+
+  if (a.length < 2 || b.length < 2) {
+    return { ratio, low: NaN, high: NaN };
+  }
+
+  const relA = variance(a) / a.length / meanA ** 2;
+  const relB = variance(b) / b.length / meanB ** 2;
+  const standardError = Math.sqrt(relA + relB);
+  if (standardError === 0) {
+    return { ratio, low: ratio, high: ratio };
+  }
+
+  const df = (relA + relB) ** 2 / (relA ** 2 / (a.length - 1) + relB ** 2 / (b.length - 1));
+  const margin = tCritical(df, confidence) * standardError;
+  return {
+    ratio,
+    low: Math.exp(Math.log(ratio) - margin),
+    high: Math.exp(Math.log(ratio) + margin)
+  };
+}
+
+module.exports = {
+  mean,
+  variance,
+  percentile,
+  incompleteBeta,
+  tTwoSidedPValue,
+  welchTTest,
+  tCritical,
+  ratioConfidenceInterval
+};
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const { matchesFilter, displayResults } = require('./harness');
+const { mean } = require('./stats');
+const { summarizeLatencies, histogramFromLatencies, formatMillis } = require('./latency');
+const { createResultSuite, completedCase, failedCase } = require('./result-suite');
+const { generateUser } = require('./scenarios');
+const { createRandom } = require('./random');
+const { insertUsers } = require('./drivers/sqlite');
+
+// Disk usage and checkpoint costs of the wal suite, see sqlite-wal-benchmark.js:
+// - fileSizes(): sizes of a database file and its -wal and -shm files, stored in
+//   the details of every case as files: { before, after }
+// - runCheckpoints(): manual PRAGMA wal_checkpoint(PASSIVE|FULL|TRUNCATE) calls,
+//   each after a transaction that grew the WAL
+// - runLongInserts(): a long run of single-row inserts that times every insert,
+//   so that the latency spikes of automatic checkpoints show
+// - timeCleanup(): the DELETE and VACUUM run between groups
+// The checkpoint and long insert groups are shaped like completed Benchmark.js
+// suites, like the groups of lib/concurrency.js.
+
+const CHECKPOINT_MODES = ['PASSIVE', 'FULL', 'TRUNCATE'];
+
+// Checkpoints timed per mode
+const CHECKPOINT_ROUNDS = 20;
+
+// Rows written in one transaction before every timed checkpoint
+const CHECKPOINT_ROWS = 1000;
+
+// Seconds every long insert run lasts, when --max-time is not given
+const DEFAULT_LONG_RUN_SECONDS = 2;
+
+// Inserts after which a long insert run stops early. Every insert adds a few pages
+// to the WAL, so without automatic checkpoints this keeps it below about 200 MB.
+const LONG_RUN_MAX_INSERTS = 20000;
+
+// An insert slower than SPIKE_FACTOR times the median insert counts as a spike
+const SPIKE_FACTOR = 10;
+
+const SLICE_SECONDS = 0.1;
+
+function fileSize(file) {
+  return fs.existsSync(file) ? fs.statSync(file).size : 0;
+}
+
+// Sizes in bytes of a database file and its WAL side files: { db, wal, shm }
+function fileSizes(filename) {
+  return { db: fileSize(filename), wal: fileSize(`${filename}-wal`), shm: fileSize(`${filename}-shm`) };
+}
+
+// Benchmark.js case options that store the file sizes before and after the case
+// in its details
+function withFileSizes(filename, caseOptions) {
+  let before;
+  return {
+    ...caseOptions,
+    onStart() {
+      before = fileSizes(filename);
+    },
+    onComplete() {
+      this.details = { ...this.details, files: { before, after: fileSizes(filename) } };
+    }
+  };
+}
+
+// Seconds taken by fn
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+function journalMode(db) {
+  return db.prepare('PRAGMA journal_mode').get().journal_mode;
+}
+
+// Empty the users table and the WAL, so that every run starts from the same files
+function resetDatabase(db) {
+  db.exec('DELETE FROM users');
+  db.prepare('PRAGMA wal_checkpoint(TRUNCATE)').get();
+}
+
+// Time CHECKPOINT_ROUNDS manual checkpoints of one mode. Automatic checkpoints are
+// turned off meanwhile, so that every checkpoint finds the CHECKPOINT_ROWS rows
+// written before it in the WAL.
+function timeCheckpoints(db, filename, mode) {
+  const autocheckpoint = db.prepare('PRAGMA wal_autocheckpoint').get().wal_autocheckpoint;
+  db.exec('PRAGMA wal_autocheckpoint = 0');
+  try {
+    resetDatabase(db);
+    const before = fileSizes(filename);
+    const latencies = [];
+    const random = createRandom(`checkpoint/${mode}`);
+    let frames = 0;
+    let busy = 0;
+    for (let round = 0; round < CHECKPOINT_ROUNDS; round++) {
+      insertUsers(db, Array.from({ length: CHECKPOINT_ROWS }, (_, i) => generateUser(`${round}-${i}`, random)));
+      let result;
+      latencies.push(time(() => { result = db.prepare(`PRAGMA wal_checkpoint(${mode})`).get(); }));
+      frames += result.checkpointed;
+      busy += result.busy;
+    }
+    return { latencies, frames, busy, files: { before, after: fileSizes(filename) } };
+  } finally {
+    db.exec(`PRAGMA wal_autocheckpoint = ${autocheckpoint}`);
+  }
+}
+
+// Manual checkpoints of every mode on the given databases, named "<label> - <MODE> Checkpoint".
+// Databases that are not in WAL mode are left out, their checkpoints do nothing.
+// targets: [{ label, db, filename }]
+// options: { filter } - see lib/harness.js
+function runCheckpoints(name, targets, options = {}) {
+  const suite = createResultSuite(name);
+  for (const { label, db, filename } of targets) {
+    if (journalMode(db) !== 'wal') continue;
+    for (const mode of CHECKPOINT_MODES) {
+      const caseName = `${label} - ${mode} Checkpoint`;
+      if (!matchesFilter(caseName, options.filter)) continue;
+      try {
+        const { latencies, frames, busy, files } = timeCheckpoints(db, filename, mode);
+        suite.push(completedCase(caseName, { hz: 1 / mean(latencies), sample: latencies }, {
+          details: {
+            mode,
+            rowsPerCheckpoint: CHECKPOINT_ROWS,
+            framesPerCheckpoint: frames / latencies.length,
+            busy,
+            latency: summarizeLatencies(latencies),
+            files
+          }
+        }));
+        suite.latencies.set(caseName, histogramFromLatencies(latencies));
+      } catch (error) {
+        console.error(`Error in ${name} - ${caseName}:`, error.message);
+        suite.push(failedCase(caseName, error));
+      }
+    }
+  }
+  return finish(suite, 'Checkpoint');
+}
+
+// Insert single rows, each in its own transaction, for duration seconds or
+// LONG_RUN_MAX_INSERTS rows and time every insert, counting the inserts per
+// slice of sliceSeconds
+function timeInserts(db, filename, duration, sliceSeconds) {
+  resetDatabase(db);
+  const before = fileSizes(filename);
+  const insert = db.prepare('INSERT INTO users (name, email, age) VALUES (?, ?, ?)');
+  const latencies = [];
+  const random = createRandom('long-inserts');
+  const slices = [];
+  const startTime = Date.now();
+  const endTime = startTime + duration * 1000;
+  while (Date.now() < endTime && latencies.length < LONG_RUN_MAX_INSERTS) {
+    const user = generateUser(latencies.length, random);
+    latencies.push(time(() => insert.run(user.name, user.email, user.age)));
+    // Inserts finishing after the last full slice are cut short by the deadline, so they are not sliced
+    const slice = Math.floor((Date.now() - startTime) / 1000 / sliceSeconds);
+    if (startTime + (slice + 1) * sliceSeconds * 1000 <= endTime) slices[slice] = (slices[slice] || 0) + 1;
+  }
+  const elapsed = (Date.now() - startTime) / 1000;
+  // A run stopped by LONG_RUN_MAX_INSERTS ends in a partial slice
+  slices.length = Math.min(slices.length, Math.floor(elapsed / sliceSeconds));
+  return { latencies, elapsed, slices: Array.from(slices, count => count || 0), files: { before, after: fileSizes(filename) } };
+}
+
+// Long runs of single-row inserts on the given databases, named "<label> - Long Insert Run".
+// Databases in WAL mode get a second run with automatic checkpoints turned off, named
+// "<label> - Long Insert Run without Autocheckpoint": spikes that only the first run
+// shows are checkpoints. An insert counts as a spike above SPIKE_FACTOR times the median.
+// targets: [{ label, db, filename }]
+// options: { filter, maxTime } - see lib/harness.js; maxTime is the longest duration of a run
+function runLongInserts(name, targets, options = {}) {
+  const duration = options.maxTime || DEFAULT_LONG_RUN_SECONDS;
+  // A run shorter than a slice is sampled as a single slice
+  const sliceSeconds = Math.min(SLICE_SECONDS, duration);
+  const suite = createResultSuite(name);
+  for (const { label, db, filename } of targets) {
+    const autocheckpoint = db.prepare('PRAGMA wal_autocheckpoint').get().wal_autocheckpoint;
+    const runs = [{ caseName: `${label} - Long Insert Run`, autocheckpoint }];
+    if (journalMode(db) === 'wal') runs.push({ caseName: `${label} - Long Insert Run without Autocheckpoint`, autocheckpoint: 0 });
+
+    for (const { caseName, autocheckpoint: pages } of runs) {
+      if (!matchesFilter(caseName, options.filter)) continue;
+      db.exec(`PRAGMA wal_autocheckpoint = ${pages}`);
+      try {
+        const { latencies, elapsed, slices, files } = timeInserts(db, filename, duration, sliceSeconds);
+        const latency = summarizeLatencies(latencies);
+        const spikes = latencies.filter(value => value > latency.p50 * SPIKE_FACTOR);
+        const sample = slices.filter(count => count > 0).map(count => sliceSeconds / count);
+        // Without a sample the case would show as a valid result of 0 runs sampled
+        if (sample.length === 0) throw new Error(`No insert finished within a time slice of ${sliceSeconds} s`);
+        suite.push(completedCase(caseName, { hz: latencies.length / elapsed, sample }, {
+          details: {
+            duration: elapsed,
+            autocheckpoint: pages,
+            inserts: latencies.length,
+            spikes: spikes.length,
+            spikeSeconds: spikes.reduce((sum, value) => sum + value, 0),
+            latency,
+            files
+          }
+        }));
+        suite.counters.set(caseName, { calls: latencies.length, changes: latencies.length, rows: 0, observed: latencies.length });
+        suite.latencies.set(caseName, histogramFromLatencies(latencies));
+      } catch (error) {
+        console.error(`Error in ${name} - ${caseName}:`, error.message);
+        suite.push(failedCase(caseName, error));
+      } finally {
+        db.exec(`PRAGMA wal_autocheckpoint = ${autocheckpoint}`);
+      }
+    }
+  }
+  return finish(suite, 'Insert');
+}
+
+function finish(suite, operation) {
+  if (suite.length === 0) {
+    console.log(`\n${suite.name}: no cases match the filter, skipping`);
+  } else {
+    displayResults(suite);
+    displayLatencies(suite, operation);
+  }
+  return suite;
+}
+
+// Delete all rows and VACUUM, timing both: { delete, vacuum } in seconds and the
+// file sizes before and after
+function timeCleanup(db, filename) {
+  const before = fileSizes(filename);
+  const deleteSeconds = time(() => db.exec('DELETE FROM users'));
+  const vacuumSeconds = time(() => db.exec('VACUUM'));
+  return { delete: deleteSeconds, vacuum: vacuumSeconds, before, after: fileSizes(filename) };
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function printTable(header, rows) {
+  const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(`  ${row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ')}`);
+  }
+}
+
+// Print the latency percentiles, spikes and WAL size of completed checkpoint or insert cases
+function displayLatencies(suite, operation) {
+  const cases = suite.filter(benchmark => !benchmark.error);
+  if (cases.length === 0) return;
+  console.log(`\n=== ${suite.name.toUpperCase()} (latency in ms) ===`);
+  printTable(
+    ['Case', `${operation} p50`, `${operation} p99`, `${operation} max`, 'Spikes', 'WAL after'],
+    cases.map(({ name, details }) => [
+      name,
+      formatMillis(details.latency.p50),
+      formatMillis(details.latency.p99),
+      formatMillis(details.latency.max),
+      details.spikes == null ? '-' : `${details.spikes} (${formatMillis(details.spikeSeconds)} ms)`,
+      formatBytes(details.files.after.wal)
+    ])
+  );
+}
+
+// Print the file sizes every case left behind, for all cases that recorded them
+function displayDiskUsage(suites) {
+  // Array.from: Benchmark.Suite has a filter() of its own that returns a suite
+  const cases = suites.flatMap(suite => Array.from(suite).filter(benchmark => benchmark.details && benchmark.details.files));
+  if (cases.length === 0) return;
+  console.log('\n=== DISK USAGE AFTER EACH CASE ===');
+  printTable(
+    ['Case', 'DB', 'WAL', 'SHM', 'Total'],
+    cases.map(({ name, details: { files: { after } } }) => [
+      name,
+      formatBytes(after.db),
+      formatBytes(after.wal),
+      formatBytes(after.shm),
+      formatBytes(after.db + after.wal + after.shm)
+    ])
+  );
+}
+
+// Print the DELETE and VACUUM costs per configuration.
+// configs: [{ label, cleanups: [timeCleanup() results] }]
+function displayCleanupCost(configs) {
+  const rows = configs.filter(config => config.cleanups.length > 0).map(({ label, cleanups }) => {
+    const total = key => cleanups.reduce((sum, cleanup) => sum + cleanup[key], 0);
+    const largest = Math.max(...cleanups.map(cleanup => cleanup.before.db + cleanup.before.wal));
+    return [
+      label,
+      String(cleanups.length),
+      formatMillis(total('delete') / cleanups.length),
+      formatMillis(total('vacuum') / cleanups.length),
+      formatMillis(Math.max(...cleanups.map(cleanup => cleanup.vacuum))),
+      formatBytes(largest)
+    ];
+  });
+  if (rows.length === 0) return;
+  console.log('\n=== CLEANUP COST BETWEEN GROUPS (ms) ===');
+  printTable(['Configuration', 'Runs', 'DELETE avg', 'VACUUM avg', 'VACUUM max', 'Largest DB + WAL'], rows);
+}
+
+module.exports = {
+  CHECKPOINT_MODES,
+  fileSizes,
+  withFileSizes,
+  runCheckpoints,
+  runLongInserts,
+  timeCleanup,
+  formatBytes,
+  displayDiskUsage,
+  displayCleanupCost
+};
@@ -0,0 +1,233 @@
+const { createSuite, countRows, countChanges } = require('./harness');
+const { summarizeHistogram, formatLatency } = require('./latency');
+const { generateUser } = require('./scenarios');
+const { createRandom } = require('./random');
+
+// Mixed read/write workloads in the spirit of YCSB (--workloads). Every iteration
+// of a workload case picks one operation by the workload's mix and a key by one
+// of the key distributions, so a case measures a blend of operations on skewed
+// keys instead of a single operation on uniformly random ids. Cases are named
+// "<driver> - <workload>, <distribution> keys" and added for every driver of
+// the CRUD suites, so native and query builder pair up per workload in reports.
+
+const WORKLOAD_SUITE = 'Workload Operations';
+
+// Operation mixes; the weights of a mix add up to 1
+const WORKLOADS = [
+  { name: 'Read Mostly 95/5', mix: { read: 0.95, update: 0.05 } },
+  { name: 'Update Heavy 50/50', mix: { read: 0.5, update: 0.5 } },
+  { name: 'Read-Modify-Write', mix: { read: 0.5, readModifyWrite: 0.5 } },
+  { name: 'Insert Heavy', mix: { read: 0.1, insert: 0.9 } }
+];
+
+// Key distributions:
+//   uniform  every seeded row is equally likely
+//   zipfian  a few hot rows get most of the traffic; hot rows are spread over the table
+//   latest   like zipfian, but the hottest rows are the most recently inserted ones
+const DISTRIBUTIONS = {
+  uniform: 'Uniform',
+  zipfian: 'Zipfian',
+  latest: 'Latest'
+};
+
+// Skew of the zipfian and latest distributions, as in YCSB
+const ZIPFIAN_CONSTANT = 0.99;
+
+// Prime multiplier that spreads zipfian ranks over the ids, see scrambled()
+const SCRAMBLE_MULTIPLIER = 2654435761n;
+
+// Zipfian ranks in [0, items) with rank 0 the most likely, using the generator of
+// Gray et al., "Quickly Generating Billion-Record Synthetic Databases" (also used by YCSB)
+function createZipfian(items, random, theta = ZIPFIAN_CONSTANT) {
+  let zetan = 0;
+  for (let i = 1; i <= items; i++) zetan += 1 / i ** theta;
+  const zeta2 = 1 + 0.5 ** theta;
+  const alpha = 1 / (1 - theta);
+  const eta = (1 - (2 / items) ** (1 - theta)) / (1 - zeta2 / zetan);
+  return () => {
+    const u = random();
+    const uz = u * zetan;
+    if (uz < 1) return 0;
+    if (uz < zeta2) return 1;
+    return Math.min(items - 1, Math.floor(items * (eta * u - eta + 1) ** alpha));
+  };
+}
+
+// Map a rank to an id in [1, items]. Multiplying by a prime modulo items is a
+// permutation, so every hot rank gets its own id without the hot ids being neighbours.
+function scrambled(rank, items) {
+  return Number((BigInt(rank) * SCRAMBLE_MULTIPLIER) % BigInt(items)) + 1;
+}
+
+// Key chooser of a distribution over the numRecords seeded rows.
+// inserted() counts a row inserted by the workload, which becomes the latest key;
+// reset() forgets those rows again, e.g. when the table was restored.
+function createKeyChooser(distribution, numRecords, random) {
+  let inserted = 0;
+  const counter = {
+    inserted: () => { inserted++; },
+    reset: () => { inserted = 0; }
+  };
+
+  if (distribution === 'uniform') {
+    return { ...counter, next: () => Math.floor(random() * numRecords) + 1 };
+  }
+  const zipfian = createZipfian(numRecords, random);
+  if (distribution === 'zipfian') {
+    return { ...counter, next: () => scrambled(zipfian(), numRecords) };
+  }
+  if (distribution === 'latest') {
+    return { ...counter, next: () => Math.max(1, numRecords + inserted - zipfian()) };
+  }
+  throw new Error(`Unknown key distribution "${distribution}", expected one of: ${Object.keys(DISTRIBUTIONS).join(', ')}`);
+}
+
+// Continue with fn once value is available: right away for synchronous drivers,
+// after the promise for the others
+function andThen(value, fn) {
+  return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
+
+// Operations of the mixes on a driver's operations (see lib/scenarios.js)
+const STEPS = {
+  read: ({ operations, keys }) => andThen(operations.selectById(keys.next()), countRows),
+  update: ({ operations, keys, age }) => andThen(operations.updateAge(keys.next(), age()), countChanges),
+  insert: ({ operations, keys, user }) => andThen(operations.insertOne(user()), changes => {
+    keys.inserted();
+    return countChanges(changes);
+  }),
+  // Read a row and write back a value derived from it
+  readModifyWrite: ({ operations, keys, age }) => {
+    const id = keys.next();
+    return andThen(operations.selectById(id), row => {
+      countRows(row);
+      return andThen(operations.updateAge(id, row ? row.age + 1 : age()), countChanges);
+    });
+  }
+};
+
+// Pick an operation of a mix with probability of its weight
+function createPicker(mix, random) {
+  const entries = Object.entries(mix);
+  return () => {
+    let u = random();
+    for (const [step, weight] of entries) {
+      u -= weight;
+      if (u < 0) return STEPS[step];
+    }
+    return STEPS[entries[entries.length - 1][0]];
+  };
+}
+
+function workloadName(workload, distribution) {
+  return `${workload.name}, ${DISTRIBUTIONS[distribution]} keys`;
+}
+
+// Benchmark.js case options of a workload on a driver.
+// insertLifetime says how long rows inserted by the case stay in the table, so
+// that the latest distribution only picks rows that exist:
+//   run        until the end of the run (no table state strategy)
+//   cycle      until the next Benchmark.js cycle (snapshot and reseed strategies)
+//   iteration  until the end of the iteration (savepoint strategy)
+function workloadCase(driver, workload, distribution, numRecords, insertLifetime) {
+  // Every driver runs a workload on the same sequence of operations and keys
+  const random = createRandom(`workload/${workloadName(workload, distribution)}`);
+  const keys = createKeyChooser(distribution, numRecords, random);
+  const context = {
+    operations: driver.operations,
+    keys: insertLifetime === 'iteration' ? { ...keys, inserted: () => {} } : keys,
+    age: () => Math.floor(random() * 50) + 18,
+    user: () => generateUser(random(), random)
+  };
+  const pick = createPicker(workload.mix, random);
+  const options = {
+    minSamples: 5,
+    mutates: Object.keys(workload.mix).some(step => step !== 'read'),
+    onStart: keys.reset
+  };
+  if (insertLifetime === 'cycle') options.onCycle = keys.reset;
+
+  if (driver.sync) {
+    return {
+      ...options,
+      fn: function() {
+        pick()(context);
+      }
+    };
+  }
+
+  const deferredFn = run => function(deferred) {
+    Promise.resolve(run()).then(() => deferred.resolve(), err => {
+      console.error('Benchmark error:', err);
+      deferred.resolve();
+    });
+  };
+  return {
+    ...options,
+    defer: true,
+    fn: deferredFn(() => pick()(context)),
+    // Every iteration in a transaction that is rolled back, see lib/state.js
+    ...(options.mutates ? {
+      rolledBackFn: deferredFn(() => driver.rolledBack(operations => pick()({ ...context, operations })))
+    } : {})
+  };
+}
+
+function createWorkloadSuite(options) {
+  return createSuite(WORKLOAD_SUITE, options);
+}
+
+// Add every workload with every key distribution for every driver to the suite.
+// options: { insertLifetime } - see workloadCase() (default: run)
+function addWorkloadCases(suite, drivers, numRecords, options = {}) {
+  const insertLifetime = options.insertLifetime || 'run';
+  for (const workload of WORKLOADS) {
+    for (const distribution of Object.keys(DISTRIBUTIONS)) {
+      for (const driver of drivers) {
+        suite.add(`${driver.name} - ${workloadName(workload, distribution)}`,
+          workloadCase(driver, workload, distribution, numRecords, insertLifetime));
+      }
+    }
+  }
+}
+
+// Print ops/sec and p99 latency of every workload per driver
+function displayWorkloads(suite, drivers) {
+  if (suite.length === 0) return;
+  const rows = [];
+  for (const workload of WORKLOADS) {
+    for (const distribution of Object.keys(DISTRIBUTIONS)) {
+      const name = workloadName(workload, distribution);
+      const cells = drivers.map(driver => {
+        const caseName = `${driver.name} - ${name}`;
+        const benchmark = Array.from(suite).find(candidate => candidate.name === caseName);
+        if (!benchmark) return '-';
+        if (benchmark.error) return 'failed';
+        const histogram = suite.latencies.get(caseName);
+        const p99 = histogram && histogram.count ? summarizeHistogram(histogram).p99 : null;
+        return `${Math.round(benchmark.hz).toLocaleString('en-US')} (${formatLatency(p99)})`;
+      });
+      if (cells.some(cell => cell !== '-')) rows.push([name, ...cells]);
+    }
+  }
+  if (rows.length === 0) return;
+
+  console.log('\n=== WORKLOADS (ops/sec, p99 latency in parentheses) ===');
+  const header = ['Workload', ...drivers.map(driver => driver.name)];
+  const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => row[i].length)));
+  for (const row of [header, ...rows]) {
+    console.log(`  ${row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ')}`);
+  }
+}
+
+module.exports = {
+  WORKLOAD_SUITE,
+  WORKLOADS,
+  DISTRIBUTIONS,
+  createZipfian,
+  scrambled,
+  createKeyChooser,
+  createWorkloadSuite,
+  addWorkloadCases,
+  displayWorkloads
+};
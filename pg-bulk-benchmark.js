@@ -0,0 +1,70 @@
+const { Pool } = require('pg');
+const Knex = require('knex');
+const { runSuite } = require('./lib/harness');
+const { createPgState } = require('./lib/state');
+const { generateUser } = require('./lib/scenarios');
+const { createRandom } = require('./lib/random');
+const { SCHEMA } = require('./lib/drivers/pg');
+const { DEFAULT_BATCH_SIZES, createBulkSuite, displayBulkRates } = require('./lib/bulk');
+const { resolvePgConfig, pgPoolOptions, knexPgOptions, describePgConfig } = require('./lib/pg-config');
+require('dotenv').config();
+
+// Run the bulk ingest benchmarks, one group per batch size
+// options: { filter, minSamples, maxTime } - see lib/harness.js
+//          { batchSizes } - rows per batch (default: 10, 100, 1k, 10k, 100k)
+//          { pgProfile, pgConfig } - connection profile and config file, see lib/pg-config.js
+//          { pgProxy } - latency proxy to connect through, see lib/network.js
+async function run(options = {}) {
+  const batchSizes = options.batchSizes || DEFAULT_BATCH_SIZES;
+  const config = resolvePgConfig({ profile: options.pgProfile, configFile: options.pgConfig, proxy: options.pgProxy });
+  console.log(`Connecting with ${describePgConfig(config)}`);
+
+  const pool = new Pool(pgPoolOptions(config, config.pool.max));
+  const knex = Knex({ client: 'pg', ...knexPgOptions(config, config.pool.builderMax) });
+  // Every path loads into the same empty table: the cases are reseeded with no
+  // rows, which truncates the table before each case and after every cycle
+  const stateManager = createPgState('reseed', { clientOptions: pgPoolOptions(config, 1), reseed: () => {} });
+  const suites = [];
+
+  try {
+    console.log('Setting up database...');
+    await pool.query('DROP TABLE IF EXISTS users');
+    await pool.query(SCHEMA);
+
+    console.log('\nRunning benchmarks...');
+    console.log('This may take a while...');
+
+    // The same rows for every path of a batch size
+    for (const batchSize of batchSizes) {
+      const random = createRandom(`bulk/${batchSize}`);
+      const users = Array.from({ length: batchSize }, (_, i) => generateUser(i, random));
+      const suite = createBulkSuite(users, { pool, knex }, { ...options, stateManager });
+      suites.push(suite);
+      try {
+        await runSuite(suite);
+      } catch (error) {
+        console.error(`Error running ${suite.name}:`, error.message);
+      }
+    }
+
+    displayBulkRates(suites, batchSizes);
+
+    console.log('\nBenchmark complete!');
+    return suites;
+  } finally {
+    console.log('Cleaning up database connections...');
+    await stateManager.close();
+    await knex.destroy();
+    await pool.end();
+  }
+}
+
+module.exports = { run };
+
+// Run the benchmarks when executed directly
+if (require.main === module) {
+  run().catch(error => {
+    console.error('Error running benchmarks:', error.message);
+    process.exitCode = 1;
+  });
+}
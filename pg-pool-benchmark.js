@@ -0,0 +1,54 @@
+const { generateUser } = require('./lib/scenarios');
+const { createRandom } = require('./lib/random');
+const { createPgDriver } = require('./lib/drivers/pg');
+const { DEFAULT_POOL_SIZES, SEED_ROWS, runPoolCases } = require('./lib/pg-pool');
+const { resolvePgConfig, pgPoolOptions, describePgConfig } = require('./lib/pg-config');
+require('dotenv').config();
+
+// Create the users table and seed the rows the queries read, through a native pg driver
+async function setupDatabase(config) {
+  const driver = createPgDriver(pgPoolOptions(config, 1));
+  await driver.open();
+  try {
+    await driver.createSchema();
+    const random = createRandom('pool/seed');
+    await driver.seed(Array.from({ length: SEED_ROWS }, (_, i) => generateUser(i, random)));
+  } finally {
+    await driver.close();
+  }
+}
+
+// Run the pool concurrency benchmarks, one group per pool size, see lib/pg-pool.js
+// options: { filter, maxTime } - see lib/harness.js
+//          { poolSizes } - maximum clients of both pools (default: 4, 16, 64)
+//          { inFlight } - queries kept in flight (default: 1, 4, 16, 64)
+//          { pgProfile, pgConfig } - connection profile and config file, see lib/pg-config.js
+//          { pgProxy } - latency proxy to connect through, see lib/network.js
+async function run(options = {}) {
+  const config = resolvePgConfig({ profile: options.pgProfile, configFile: options.pgConfig, proxy: options.pgProxy });
+  console.log(`Connecting with ${describePgConfig(config)}`);
+
+  console.log('Setting up database...');
+  await setupDatabase(config);
+
+  console.log('\nRunning benchmarks...');
+  console.log('This may take a while...');
+
+  const suites = [];
+  for (const poolSize of options.poolSizes || DEFAULT_POOL_SIZES) {
+    suites.push(await runPoolCases(config, poolSize, options));
+  }
+
+  console.log('\nBenchmark complete!');
+  return suites;
+}
+
+module.exports = { run };
+
+// Run the benchmarks when executed directly
+if (require.main === module) {
+  run().catch(error => {
+    console.error('Error running benchmarks:', error.message);
+    process.exitCode = 1;
+  });
+}
@@ -1,400 +1,168 @@
-const Benchmark = require('benchmark');
-const Database = require('better-sqlite3');
-const Knex = require('knex');
-const fs = require('fs');
 const path = require('path');
+const { runSuite, caseNames, removeCases } = require('./lib/harness');
+const { createSqliteState, DEFAULT_STATE_STRATEGY, INSERT_LIFETIMES } = require('./lib/state');
+const { runEquivalenceChecks } = require('./lib/equivalence');
+const { generateUser, createScenarioSuites, addScenarioCases, driverOfCase, scenarioChecks, scenarioRuns, scenarioProfiles } = require('./lib/scenarios');
+const { displayPhaseProfile } = require('./lib/profile');
+const { createWorkloadSuite, addWorkloadCases, displayWorkloads } = require('./lib/workloads');
+const { INDEX_SETS, applyIndexSet } = require('./lib/indexes');
+const { SQLITE_PLANS, capturePlans, displayPlans } = require('./lib/plans');
+const { createRandom } = require('./lib/random');
+const { loadFixture, fixtureUsers, fixtureSize } = require('./lib/fixtures');
+const { createSqliteDriver, insertUsers, nodeSqliteUnavailableReason } = require('./lib/drivers/sqlite');
+const { createKnexSqliteDriver } = require('./lib/drivers/knex');
+const { createKyselySqliteDriver } = require('./lib/drivers/kysely');
+const { createDrizzleSqliteDriver } = require('./lib/drivers/drizzle');
+
+// Drivers compared by this suite, in case order. Each one uses its own database file.
+// node:sqlite is skipped on Node.js versions that lack it.
+function createDrivers() {
+  const drivers = [
+    createSqliteDriver('better-sqlite3', { filename: path.join(__dirname, 'native.db') }),
+    createKnexSqliteDriver({ filename: path.join(__dirname, 'knex.db') }),
+    createKyselySqliteDriver({ filename: path.join(__dirname, 'kysely.db') }),
+    createDrizzleSqliteDriver({ filename: path.join(__dirname, 'drizzle.db') })
+  ];
+
+  const unavailable = nodeSqliteUnavailableReason();
+  if (unavailable) {
+    console.log(`Skipping node:sqlite cases: ${unavailable}`);
+  } else {
+    drivers.push(createSqliteDriver('node:sqlite', { filename: path.join(__dirname, 'node-sqlite.db') }));
+  }
+  return drivers;
+}
 
-// Database file paths
-const NATIVE_DB_PATH = path.join(__dirname, 'native.db');
-const KNEX_DB_PATH = path.join(__dirname, 'knex.db');
+// Default number of records seeded before the benchmarks run
+const DEFAULT_NUM_RECORDS = 100;
 
-// Clean up existing database files
-if (fs.existsSync(NATIVE_DB_PATH)) fs.unlinkSync(NATIVE_DB_PATH);
-if (fs.existsSync(KNEX_DB_PATH)) fs.unlinkSync(KNEX_DB_PATH);
+// Rows generated per seed batch; every driver inserts each batch in one transaction
+const SEED_BATCH_SIZE = 10000;
 
-// Initialize databases
-const nativeDb = new Database(NATIVE_DB_PATH);
-const knexDb = Knex({
-  client: 'better-sqlite3',
-  connection: {
-    filename: KNEX_DB_PATH
-  },
-  useNullAsDefault: true
-});
+// Number of records seeded for the current run, set by run()
+let numRecords = DEFAULT_NUM_RECORDS;
 
-// Create tables
-function setupDatabases() {
-  // Native better-sqlite3 setup
-  nativeDb.exec(`
-    CREATE TABLE users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      age INTEGER,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+// Fixture the seed rows are taken from, set by run() when options.fixture is given
+let fixture = null;
 
-  // Knex.js setup
-  return knexDb.schema.createTable('users', table => {
-    table.increments('id');
-    table.string('name').notNullable();
-    table.string('email').notNullable();
-    table.integer('age');
-    table.timestamp('created_at').defaultTo(knexDb.fn.now());
-  });
+// Generate the seed users batch by batch so that large seeds do not hold every row in memory.
+// Every call starts the same random stream, so the same seed yields the same rows.
+function* seedBatches() {
+  const random = createRandom('users');
+  for (let start = 0; start < numRecords; start += SEED_BATCH_SIZE) {
+    const length = Math.min(SEED_BATCH_SIZE, numRecords - start);
+    yield fixture
+      ? fixtureUsers(fixture, start, length)
+      : Array.from({ length }, (_, i) => generateUser(start + i, random));
+  }
 }
 
-// Generate random user data
-function generateUser(i) {
-  return {
-    name: `User ${i}`,
-    email: `user${i}@example.com`,
-    age: Math.floor(Math.random() * 50) + 18
-  };
+// Re-insert freshly generated seed rows into an empty table (used by the "reseed" state strategy)
+function reseed(connection) {
+  for (const users of seedBatches()) {
+    insertUsers(connection, users);
+  }
 }
 
-// Benchmark suites
-const insertSuite = new Benchmark.Suite('Insert Operations');
-const selectSuite = new Benchmark.Suite('Select Operations');
-const updateSuite = new Benchmark.Suite('Update Operations');
-const deleteSuite = new Benchmark.Suite('Delete Operations');
-const complexSuite = new Benchmark.Suite('Complex Operations');
+// Seed every driver's database with the same rows
+async function seedDatabases(drivers) {
+  console.log(`Seeding databases with ${numRecords.toLocaleString()} records...`);
 
-// Helper function to properly benchmark async operations
-function benchmarkAsync(fn) {
-  return {
-    defer: true,
-    fn: function(deferred) {
-      Promise.resolve(fn())
-        .then(() => deferred.resolve())
-        .catch(err => {
-          console.error('Benchmark error:', err);
-          deferred.resolve();
-        });
+  for (const users of seedBatches()) {
+    for (const driver of drivers) {
+      await driver.seed(users);
     }
-  };
+  }
 }
 
-// Number of records to use in benchmarks
-const NUM_RECORDS = 100;
+// Run all benchmarks
+// options: { filter, minSamples, maxTime } - see lib/harness.js
+//          { numRecords } - number of records to seed (default: 100, or every row of the fixture)
+//          { fixture } - fixture file the seed rows are loaded from, see lib/fixtures.js
+//          { profile } - also time the query builder phases, see lib/profile.js
+//          { asyncControls } - also run the native cases through async controls, see lib/harness.js
+//          { state } - state strategy for cases that change data, see lib/state.js
+//          { workloads } - also run the mixed workloads, see lib/workloads.js
+//          { indexes } - index set created after seeding, see lib/indexes.js
+//          { plans } - capture the query plan of every case, see lib/plans.js
+async function run(options = {}) {
+  fixture = options.fixture ? loadFixture(options.fixture) : null;
+  numRecords = options.numRecords || (fixture ? fixtureSize(fixture) : DEFAULT_NUM_RECORDS);
+  const drivers = createDrivers();
+
+  const stateManager = createSqliteState(options.state || DEFAULT_STATE_STRATEGY, {
+    connectionFor: caseName => driverOfCase(drivers, caseName).connection,
+    reseed
+  });
+  const suites = createScenarioSuites({ ...options, stateManager });
+  const workloadSuite = options.workloads ? createWorkloadSuite({ ...options, stateManager }) : null;
+  if (workloadSuite) suites.push(workloadSuite);
 
-// Setup insert benchmarks
-function setupInsertBenchmarks() {
-  // Prepare statements for native better-sqlite3
-  const nativeInsert = nativeDb.prepare('INSERT INTO users (name, email, age) VALUES (?, ?, ?)');
+  try {
+    for (const driver of drivers) {
+      await driver.open();
+    }
 
-  insertSuite
-    .add('Native better-sqlite3 - Single Insert', {
-      minSamples: 5,
-      fn: function() {
-        const user = generateUser(Math.random());
-        nativeInsert.run(user.name, user.email, user.age);
-      }
-    })
-    .add('Knex.js - Single Insert', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        const user = generateUser(Math.random());
-        knexDb('users').insert(user)
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    })
-    .add('Native better-sqlite3 - Batch Insert (Transaction)', {
-      minSamples: 5,
-      fn: function() {
-        const transaction = nativeDb.transaction((users) => {
-          for (const user of users) {
-            nativeInsert.run(user.name, user.email, user.age);
-          }
-        });
-        
-        const users = Array.from({ length: 5 }, (_, i) => generateUser(i));
-        transaction(users);
-      }
-    })
-    .add('Knex.js - Batch Insert', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        const users = Array.from({ length: 5 }, (_, i) => generateUser(i));
-        knexDb('users').insert(users)
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    });
-}
+    console.log('Setting up databases...');
+    for (const driver of drivers) {
+      await driver.createSchema();
+    }
 
-// Setup select benchmarks
-function setupSelectBenchmarks() {
-  // Prepare statements for native better-sqlite3
-  const nativeSelectAll = nativeDb.prepare('SELECT * FROM users LIMIT 20');
-  const nativeSelectById = nativeDb.prepare('SELECT * FROM users WHERE id = ?');
-  const nativeSelectByAge = nativeDb.prepare('SELECT * FROM users WHERE age > ? LIMIT 20');
+    console.log('Seeding databases...');
+    await seedDatabases(drivers);
 
-  selectSuite
-    .add('Native better-sqlite3 - Select All', {
-      minSamples: 5,
-      fn: function() {
-        nativeSelectAll.all();
-      }
-    })
-    .add('Knex.js - Select All', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        knexDb('users').limit(20).select('*')
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    })
-    .add('Native better-sqlite3 - Select By Id', {
-      minSamples: 5,
-      fn: function() {
-        const id = Math.floor(Math.random() * NUM_RECORDS) + 1;
-        nativeSelectById.get(id);
-      }
-    })
-    .add('Knex.js - Select By Id', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        const id = Math.floor(Math.random() * NUM_RECORDS) + 1;
-        knexDb('users').where('id', id).first()
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
+    if (options.indexes) {
+      console.log(`Creating index set "${options.indexes}" (${INDEX_SETS[options.indexes].description})...`);
+      for (const driver of drivers) {
+        await applyIndexSet(options.indexes, 'sqlite', sql => driver.connection.exec(sql));
       }
-    })
-    .add('Native better-sqlite3 - Select By Condition', {
-      minSamples: 5,
-      fn: function() {
-        nativeSelectByAge.all(30);
-      }
-    })
-    .add('Knex.js - Select By Condition', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        knexDb('users').where('age', '>', 30).limit(20).select('*')
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    });
-}
+    }
 
-// Setup update benchmarks
-function setupUpdateBenchmarks() {
-  // Prepare statements for native better-sqlite3
-  const nativeUpdate = nativeDb.prepare('UPDATE users SET age = ? WHERE id = ?');
+    console.log(`Table state strategy: ${stateManager.strategy}`);
+    for (const driver of drivers) {
+      stateManager.capture(driver.connection);
+    }
 
-  updateSuite
-    .add('Native better-sqlite3 - Update Single Record', {
-      minSamples: 5,
-      fn: function() {
-        const id = Math.floor(Math.random() * NUM_RECORDS) + 1;
-        const age = Math.floor(Math.random() * 50) + 18;
-        nativeUpdate.run(age, id);
-      }
-    })
-    .add('Knex.js - Update Single Record', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        const id = Math.floor(Math.random() * NUM_RECORDS) + 1;
-        const age = Math.floor(Math.random() * 50) + 18;
-        knexDb('users').where('id', id).update({ age })
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    });
-}
+    console.log('Setting up benchmarks...');
+    addScenarioCases(suites, drivers, numRecords, { profile: options.profile, asyncControls: options.asyncControls });
+    if (workloadSuite) {
+      addWorkloadCases(workloadSuite, drivers, numRecords, { insertLifetime: INSERT_LIFETIMES[stateManager.strategy] });
+    }
 
-// Setup delete benchmarks
-function setupDeleteBenchmarks() {
-  // Prepare statements for native better-sqlite3
-  const nativeDelete = nativeDb.prepare('DELETE FROM users WHERE id = ?');
+    // Pairs whose results differ would compare different work, so they are not timed
+    const refused = await runEquivalenceChecks(scenarioChecks(drivers, numRecords), caseNames(suites));
+    removeCases(suites, refused);
 
-  deleteSuite
-    .add('Native better-sqlite3 - Delete Single Record', {
-      minSamples: 5,
-      fn: function() {
-        const id = Math.floor(Math.random() * NUM_RECORDS) + 1;
-        nativeDelete.run(id);
-      }
-    })
-    .add('Knex.js - Delete Single Record', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        const id = Math.floor(Math.random() * NUM_RECORDS) + 1;
-        knexDb('users').where('id', id).delete()
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    });
-}
+    if (options.plans) await capturePlans(suites, scenarioRuns(drivers, numRecords), SQLITE_PLANS);
+
+    console.log('\nRunning benchmarks...');
+    console.log('This may take a while...');
 
-// Setup complex query benchmarks
-function setupComplexBenchmarks() {
-  // Prepare statements for native better-sqlite3
-  const nativeComplex = nativeDb.prepare(`
-    SELECT 
-      COUNT(*) as count, 
-      AVG(age) as average_age, 
-      MIN(age) as min_age, 
-      MAX(age) as max_age 
-    FROM users 
-    WHERE age > ?
-  `);
+    // Run each suite in order
+    for (const suite of suites) {
+      await runSuite(suite);
+    }
 
-  complexSuite
-    .add('Native better-sqlite3 - Complex Query', {
-      minSamples: 5,
-      fn: function() {
-        nativeComplex.get(30);
-      }
-    })
-    .add('Knex.js - Complex Query', {
-      minSamples: 5,
-      defer: true,
-      fn: function(deferred) {
-        knexDb('users')
-          .where('age', '>', 30)
-          .select(
-            knexDb.raw('COUNT(*) as count'),
-            knexDb.raw('AVG(age) as average_age'),
-            knexDb.raw('MIN(age) as min_age'),
-            knexDb.raw('MAX(age) as max_age')
-          )
-          .then(() => deferred.resolve())
-          .catch(err => {
-            console.error('Benchmark error:', err);
-            deferred.resolve();
-          });
-      }
-    });
-}
+    if (options.profile) displayPhaseProfile(suites, scenarioProfiles(drivers));
+    if (workloadSuite) displayWorkloads(workloadSuite, drivers);
+    if (options.plans) displayPlans(suites);
 
-// Seed the databases with initial data
-async function seedDatabases() {
-  console.log(`Seeding databases with ${NUM_RECORDS} records...`);
-  
-  // Native better-sqlite3 seeding
-  const nativeInsert = nativeDb.prepare('INSERT INTO users (name, email, age) VALUES (?, ?, ?)');
-  const nativeTransaction = nativeDb.transaction((users) => {
-    for (const user of users) {
-      nativeInsert.run(user.name, user.email, user.age);
+    console.log('\nBenchmark complete!');
+    return suites;
+  } finally {
+    // Clean up
+    for (const driver of drivers) {
+      await driver.close();
     }
-  });
-  
-  const users = Array.from({ length: NUM_RECORDS }, (_, i) => generateUser(i));
-  nativeTransaction(users);
-  
-  // Knex.js seeding - insert in smaller batches to avoid SQLite errors
-  const BATCH_SIZE = 100;
-  for (let i = 0; i < users.length; i += BATCH_SIZE) {
-    const batch = users.slice(i, i + BATCH_SIZE);
-    await knexDb('users').insert(batch);
   }
-  
-  return Promise.resolve();
 }
 
-// Display benchmark results
-function displayResults(suite) {
-  console.log(`\n${suite.name}:`);
-  suite.forEach(benchmark => {
-    console.log(`  ${benchmark.name}: ${Math.round(benchmark.hz).toLocaleString()} ops/sec ±${benchmark.stats.rme.toFixed(2)}% (${benchmark.stats.sample.length} runs sampled)`);
-  });
-}
+module.exports = { run };
 
-// Run all benchmarks
-async function runBenchmarks() {
-  try {
-    console.log('Setting up databases...');
-    await setupDatabases();
-    
-    console.log('Seeding databases...');
-    await seedDatabases();
-    
-    console.log('Setting up benchmarks...');
-    setupInsertBenchmarks();
-    setupSelectBenchmarks();
-    setupUpdateBenchmarks();
-    setupDeleteBenchmarks();
-    setupComplexBenchmarks();
-    
-    console.log('\nRunning benchmarks...');
-    console.log('This may take a while...');
-    
-    // Run each suite
-    insertSuite
-      .on('complete', function() {
-        displayResults(this);
-        selectSuite.run({ async: true });
-      })
-      .run({ async: true });
-    
-    selectSuite
-      .on('complete', function() {
-        displayResults(this);
-        updateSuite.run({ async: true });
-      });
-    
-    updateSuite
-      .on('complete', function() {
-        displayResults(this);
-        deleteSuite.run({ async: true });
-      });
-    
-    deleteSuite
-      .on('complete', function() {
-        displayResults(this);
-        complexSuite.run({ async: true });
-      });
-    
-    complexSuite
-      .on('complete', function() {
-        displayResults(this);
-        
-        console.log('\nBenchmark complete!');
-        
-        // Clean up
-        nativeDb.close();
-        knexDb.destroy();
-      });
-    
-  } catch (error) {
+// Run the benchmarks when executed directly
+if (require.main === module) {
+  run().catch(error => {
     console.error('Error running benchmarks:', error);
-    
-    // Clean up
-    nativeDb.close();
-    knexDb.destroy();
-  }
+    process.exitCode = 1;
+  });
 }
-
-// Run the benchmarks
-runBenchmarks();
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SWEEP_PRAGMAS, parsePragmaSweep, pragmaLabel, durability } = require('../lib/pragmas');
+
+test('a sweep runs every combination of the listed values', () => {
+  assert.deepEqual(parsePragmaSweep(['journal_mode=DELETE,WAL', 'synchronous = NORMAL, FULL']), [
+    { journal_mode: 'DELETE', synchronous: 'NORMAL' },
+    { journal_mode: 'DELETE', synchronous: 'FULL' },
+    { journal_mode: 'WAL', synchronous: 'NORMAL' },
+    { journal_mode: 'WAL', synchronous: 'FULL' }
+  ]);
+  assert.equal(parsePragmaSweep(['cache_size=-2000,-64000', 'mmap_size=0,268435456', 'page_size=4096']).length, 4);
+  assert.deepEqual(parsePragmaSweep([]), [{}]);
+});
+
+test('names are case-insensitive and keywords keep their spelling', () => {
+  assert.deepEqual(parsePragmaSweep(['Journal_Mode=wal']), [{ journal_mode: 'wal' }]);
+  assert.deepEqual(parsePragmaSweep(['temp_store=MEMORY,2', 'locking_mode=exclusive', 'wal_autocheckpoint=0']), [
+    { temp_store: 'MEMORY', locking_mode: 'exclusive', wal_autocheckpoint: '0' },
+    { temp_store: '2', locking_mode: 'exclusive', wal_autocheckpoint: '0' }
+  ]);
+});
+
+test('every supported PRAGMA accepts a value', () => {
+  const values = {
+    journal_mode: 'TRUNCATE',
+    synchronous: 'EXTRA',
+    cache_size: '-64000',
+    mmap_size: '0',
+    temp_store: 'FILE',
+    page_size: '65536',
+    locking_mode: 'NORMAL',
+    wal_autocheckpoint: '1000'
+  };
+  assert.deepEqual(Object.keys(values), SWEEP_PRAGMAS);
+  for (const [name, value] of Object.entries(values)) {
+    assert.deepEqual(parsePragmaSweep([`${name}=${value}`]), [{ [name]: value }]);
+  }
+});
+
+test('unknown PRAGMAs are rejected', () => {
+  assert.throws(() => parsePragmaSweep(['foreign_keys=ON']), /Unsupported PRAGMA "foreign_keys" for --pragma, expected one of: journal_mode, /);
+  assert.throws(() => parsePragmaSweep(['journal_mode']), /--pragma expects <name>=<value>\[,<value>\.\.\.\], got "journal_mode"/);
+  assert.throws(() => parsePragmaSweep(['=WAL']), /--pragma expects/);
+});
+
+test('unknown and unsafe values are rejected', () => {
+  const invalid = [
+    ['journal_mode', 'FAST'],
+    ['synchronous', 'BANANA'],
+    ['synchronous', '4'],
+    ['cache_size', 'big'],
+    ['cache_size', '1.5'],
+    ['mmap_size', '-1'],
+    ['temp_store', '3'],
+    ['page_size', '1000'],
+    ['page_size', '131072'],
+    ['locking_mode', 'SHARED'],
+    ['wal_autocheckpoint', 'OFF'],
+    ['journal_mode', 'WAL; DROP TABLE users']
+  ];
+  for (const [name, value] of invalid) {
+    assert.throws(() => parsePragmaSweep([`${name}=${value}`]), { message: `Invalid value "${value}" for PRAGMA ${name}` });
+  }
+  // One invalid value rejects the whole list
+  assert.throws(() => parsePragmaSweep(['journal_mode=WAL,FAST']), { message: 'Invalid value "FAST" for PRAGMA journal_mode' });
+});
+
+test('a PRAGMA given twice is rejected', () => {
+  assert.throws(() => parsePragmaSweep(['synchronous=FULL', 'SYNCHRONOUS=NORMAL']), /PRAGMA synchronous is given more than once/);
+});
+
+test('labels and durability of combinations', () => {
+  assert.equal(pragmaLabel({}), 'SQLite defaults');
+  assert.equal(pragmaLabel({ journal_mode: 'WAL', synchronous: 'NORMAL' }), 'journal_mode=WAL, synchronous=NORMAL');
+  assert.equal(durability({}), 'full');
+  assert.equal(durability({ journal_mode: 'wal', synchronous: 'normal' }), 'app');
+  assert.equal(durability({ synchronous: '1' }), 'risky');
+  assert.equal(durability({ journal_mode: 'MEMORY' }), 'none');
+  assert.equal(durability({ journal_mode: 'WAL', synchronous: 'OFF' }), 'none');
+});
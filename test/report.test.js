@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pairResults, formatGap, renderMarkdown } = require('../lib/report');
+
+function record(name, sample, overrides = {}) {
+  return {
+    suite: 'sqlite',
+    group: 'Select Operations',
+    name,
+    hz: 1 / (sample.reduce((sum, value) => sum + value, 0) / (sample.length || 1)),
+    rme: 1,
+    samples: sample.length,
+    sample,
+    error: null,
+    ...overrides
+  };
+}
+
+// The analysis row of an operation in the Markdown report
+function analysisRow(markdown, operation) {
+  return markdown.split('\n').find(line => line.startsWith(`| ${operation} |`));
+}
+
+test('native and contender cases of the same operation are paired', () => {
+  const pairs = pairResults([
+    record('Native better-sqlite3 - Select By Id', [1, 1.1, 0.9]),
+    record('Knex.js - Select By Id', [3, 3.3, 2.7]),
+    record('Knex.js - Select All', [3, 3.3, 2.7])
+  ]);
+  assert.equal(pairs.length, 1);
+  assert.equal(pairs[0].contenderDriver, 'Knex.js');
+  assert.equal(pairs[0].interval.ratio, 3);
+  assert.equal(formatGap(pairs[0]), `3.00x (${pairs[0].interval.low.toFixed(2)}-${pairs[0].interval.high.toFixed(2)})`);
+});
+
+test('a pair with fewer than 2 samples on a side gets no interval', () => {
+  const records = [
+    record('Native better-sqlite3 - Select By Id', [1]),
+    record('Knex.js - Select By Id', [3, 3.3, 2.7])
+  ];
+  const [pair] = pairResults(records);
+  assert.equal(pair.interval, undefined);
+  assert.equal(pair.insufficient, true);
+  assert.equal(formatGap(pair), 'too few samples');
+
+  assert.equal(analysisRow(renderMarkdown(records), 'Select By Id'), '| Select By Id | 1 | 0 | - | Insufficient samples (fewer than 2) |');
+  assert.match(analysisRow(renderMarkdown(records, { lang: 'id' }), 'Select By Id'), /\| - \| Sampel tidak cukup \(kurang dari 2\) \|$/);
+});
+
+test('a failed case makes its pair fail', () => {
+  const [pair] = pairResults([
+    record('Native better-sqlite3 - Select By Id', [1, 1.1]),
+    record('Knex.js - Select By Id', [], { error: 'SQLITE_BUSY' })
+  ]);
+  assert.equal(pair.insufficient, undefined);
+  assert.equal(formatGap(pair), 'failed');
+});
+
+test('the verdict follows the confidence interval', () => {
+  const faster = renderMarkdown([
+    record('Native better-sqlite3 - Select By Id', [1, 1.1, 0.9]),
+    record('Knex.js - Select By Id', [3, 3.3, 2.7])
+  ]);
+  assert.match(analysisRow(faster, 'Select By Id'), /\| Native ~3\.00x faster \|$/);
+
+  const same = renderMarkdown([
+    record('Native better-sqlite3 - Select By Id', [1, 2, 3]),
+    record('Knex.js - Select By Id', [1.5, 2, 2.5])
+  ]);
+  assert.match(analysisRow(same, 'Select By Id'), /\| No significant difference \|$/);
+});
+
+test('Indonesian reports are fully translated', () => {
+  const markdown = renderMarkdown([record('Native better-sqlite3 - Select By Id', [1, 1.1, 0.9])], { lang: 'id' });
+  assert.match(markdown, /\(3 putaran disampel\)/);
+  assert.doesNotMatch(markdown, /runs sampled/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeResults, readResults, loadResultFiles, groupLabel, recordKey } = require('../lib/results');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmarkdb-results-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(root, 'case-'));
+}
+
+function record(overrides = {}) {
+  return {
+    suite: 'sqlite',
+    group: 'Select Operations',
+    name: 'Native better-sqlite3 - Select By Id',
+    hz: 87265.123,
+    rme: 7.91,
+    deviation: 0.0000012,
+    mean: 0.0000114,
+    samples: 3,
+    calls: 1000,
+    changes: 0,
+    rows: 1000,
+    latency: { count: 1000, mean: 0.00001, p50: 0.00001017, p90: 0.00001134, p99: 0.00001569, p999: 0.00010786, max: 0.00512 },
+    histogram: [[0.00001, 0.000012, 1000]],
+    sample: [0.0000113, 0.0000114, 0.0000115],
+    error: null,
+    ...overrides
+  };
+}
+
+// What a CSV file keeps of a record: no histogram or details, and only the percentiles of latency
+function csvView({ histogram, details, latency, ...rest }) {
+  const { count, mean, ...percentiles } = latency || {};
+  return {
+    size: undefined,
+    rtt: undefined,
+    indexes: undefined,
+    ...rest,
+    latency: latency ? percentiles : null
+  };
+}
+
+test('CSV results read back as the records written', () => {
+  const file = path.join(tempDir(), 'results.csv');
+  const records = [
+    record(),
+    record({ name: 'Knex.js - Select By Id', hz: 20123.5, calls: null, changes: null, rows: null, latency: null, histogram: null }),
+    record({ suite: 'postgres', size: 10000, rtt: 20, indexes: 'covering', details: { plans: [] } }),
+    record({ name: 'Knex.js - Select By Id', hz: 0, sample: [], error: 'connect ECONNREFUSED 127.0.0.1:5432' })
+  ];
+
+  writeResults(file, records);
+  assert.deepEqual(readResults(file).results, records.map(csvView));
+});
+
+test('CSV fields with commas, quotes and line breaks are quoted and read back', () => {
+  const file = path.join(tempDir(), 'results.csv');
+  const records = [
+    record({ group: 'Pool of 4 Connections, "warm"', name: 'Native pg - Select By Id, pool 4, 16 in flight' }),
+    record({ error: 'relation "users" does not exist\r\nLINE 1: SELECT * FROM users\nsecond line' })
+  ];
+
+  writeResults(file, records);
+  const content = fs.readFileSync(file, 'utf8');
+  assert.match(content, /"Pool of 4 Connections, ""warm"""/);
+  assert.deepEqual(readResults(file).results, records.map(csvView));
+});
+
+test('the format follows --format before the file extension', () => {
+  const dir = tempDir();
+  const csvFile = path.join(dir, 'results.txt');
+  writeResults(csvFile, [record()], { format: 'csv' });
+  assert.match(fs.readFileSync(csvFile, 'utf8'), /^suite,group,size,rtt,indexes,name,/);
+
+  const jsonFile = path.join(dir, 'nested', 'results.json');
+  writeResults(jsonFile, [record()], { meta: { seed: 1234 } });
+  const document = readResults(jsonFile);
+  assert.equal(document.seed, 1234);
+  assert.deepEqual(document.results, [record()]);
+
+  assert.throws(() => writeResults(path.join(dir, 'results.xml'), [record()]), /Unsupported result format "xml"/);
+});
+
+test('a JSON file without results is rejected', () => {
+  const file = path.join(tempDir(), 'other.json');
+  fs.writeFileSync(file, JSON.stringify({ name: 'benchmarkdb' }));
+  assert.throws(() => readResults(file), /is not a benchmark result file/);
+});
+
+test('later files win when result files are merged', () => {
+  const dir = tempDir();
+  const first = path.join(dir, 'first.json');
+  const second = path.join(dir, 'second.csv');
+  writeResults(first, [record(), record({ name: 'Knex.js - Select By Id' })]);
+  writeResults(second, [record({ hz: 1 })]);
+
+  const merged = loadResultFiles([first, second]);
+  assert.equal(merged.length, 2);
+  assert.equal(merged.find(r => r.name === 'Native better-sqlite3 - Select By Id').hz, 1);
+});
+
+test('group labels and keys carry the qualifiers of the run', () => {
+  assert.equal(groupLabel(record()), 'Select Operations');
+  assert.equal(groupLabel(record({ size: 10000, rtt: 0, indexes: 'age' })), 'Select Operations (10,000 rows, 0 ms RTT, indexes: age)');
+  assert.equal(recordKey(record({ rtt: 20 })), 'sqlite / Select Operations (20 ms RTT) / Native better-sqlite3 - Select By Id');
+});
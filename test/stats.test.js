@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mean, variance, percentile, tTwoSidedPValue, tCritical, welchTTest, ratioConfidenceInterval } = require('../lib/stats');
+
+// Reference values from Student's t distribution and R's t.test()
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('mean, variance and percentiles', () => {
+  assert.equal(mean([1, 2, 3, 4]), 2.5);
+  assert.equal(variance([2, 4, 4, 4, 5, 5, 7, 9]), 32 / 7);
+  assert.equal(variance([5]), 0);
+  assert.equal(percentile([4, 1, 3, 2], 50), 2.5);
+  assert.equal(percentile([1, 2, 3, 4, 5], 90), 4.6);
+  assert.ok(Number.isNaN(percentile([], 50)));
+});
+
+test('two-sided p-values of the t distribution', () => {
+  assertClose(tTwoSidedPValue(2, 10), 0.0733880348);
+  assertClose(tTwoSidedPValue(-2, 10), 0.0733880348);
+  assertClose(tTwoSidedPValue(0, 5), 1);
+  assert.equal(tTwoSidedPValue(Infinity, 5), 0);
+});
+
+test('critical values of the t distribution', () => {
+  assertClose(tCritical(1), 12.7062047362, 1e-5);
+  assertClose(tCritical(4), 2.7764451052, 1e-6);
+  assertClose(tCritical(10), 2.2281388520, 1e-6);
+  assertClose(tCritical(30), 2.0422724563, 1e-6);
+  assertClose(tCritical(5, 0.99), 4.0321429836, 1e-6);
+});
+
+test('Welch t-test matches R t.test()', () => {
+  // t.test(c(1, 2, 3, 4, 5), c(2, 4, 6, 8, 10)): t = -1.8974, df = 5.8824, p-value = 0.1075
+  const { t, df, pValue } = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+  assertClose(t, -1.8973665961);
+  assertClose(df, 5.8823529412);
+  assertClose(pValue, 0.1075311347);
+});
+
+test('Welch t-test with fewer than 2 samples cannot reject', () => {
+  assert.deepEqual(welchTTest([1], [2, 3, 4]), { t: 0, df: 0, pValue: 1 });
+  assert.deepEqual(welchTTest([1, 2, 3], []), { t: 0, df: 0, pValue: 1 });
+});
+
+test('Welch t-test with zero variance', () => {
+  assert.deepEqual(welchTTest([2, 2, 2], [2, 2]), { t: 0, df: 3, pValue: 1 });
+  assert.deepEqual(welchTTest([2, 2, 2], [3, 3]), { t: Infinity, df: 3, pValue: 0 });
+});
+
+test('ratio confidence interval on the log scale', () => {
+  // Equal relative variances of 1/12: standard error sqrt(1/6) with 4 degrees of freedom
+  const { ratio, low, high } = ratioConfidenceInterval([1, 2, 3], [2, 4, 6]);
+  assert.equal(ratio, 0.5);
+  assertClose(low, 0.1609556934);
+  assertClose(high, 1.5532224722);
+  assertClose(Math.sqrt(low * high), ratio, 1e-12);
+});
+
+test('ratio confidence interval with fewer than 2 samples has no bounds', () => {
+  const interval = ratioConfidenceInterval([2], [1, 1.5]);
+  assert.equal(interval.ratio, 1.6);
+  assert.ok(Number.isNaN(interval.low));
+  assert.ok(Number.isNaN(interval.high));
+});
+
+test('ratio confidence interval with zero variance collapses to the ratio', () => {
+  assert.deepEqual(ratioConfidenceInterval([3, 3, 3], [2, 2]), { ratio: 1.5, low: 1.5, high: 1.5 });
+});
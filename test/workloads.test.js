@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createZipfian, scrambled, createKeyChooser } = require('../lib/workloads');
+const { setSeed, createRandom } = require('../lib/random');
+
+// Draw count values from a fresh generator of a stream of the given seed
+function draw(seed, count, next) {
+  setSeed(seed);
+  const random = createRandom('workload keys');
+  const generate = next(random);
+  return Array.from({ length: count }, () => generate());
+}
+
+test('zipfian ranks repeat for the same seed', () => {
+  const zipfian = random => createZipfian(1000, random);
+  assert.deepEqual(draw(42, 500, zipfian), draw(42, 500, zipfian));
+  assert.notDeepEqual(draw(42, 500, zipfian), draw(43, 500, zipfian));
+});
+
+test('zipfian ranks stay in [0, items) and favour the low ranks', () => {
+  for (const items of [1, 2, 10, 1000]) {
+    const ranks = draw(7, 5000, random => createZipfian(items, random));
+    assert.ok(ranks.every(rank => Number.isInteger(rank) && rank >= 0 && rank < items), `ranks out of range for ${items} items`);
+  }
+
+  const counts = new Map();
+  for (const rank of draw(7, 5000, random => createZipfian(1000, random))) counts.set(rank, (counts.get(rank) || 0) + 1);
+  const hottest = [...counts].sort((a, b) => b[1] - a[1])[0][0];
+  assert.equal(hottest, 0);
+  assert.ok(counts.get(0) > counts.get(1));
+});
+
+test('scrambled maps ranks onto every id in [1, items] once', () => {
+  for (const items of [1, 7, 100, 1000]) {
+    const ids = Array.from({ length: items }, (_, rank) => scrambled(rank, items));
+    assert.deepEqual([...ids].sort((a, b) => a - b), Array.from({ length: items }, (_, i) => i + 1));
+  }
+  // Hot ranks are not neighbouring ids
+  assert.notEqual(Math.abs(scrambled(0, 1000) - scrambled(1, 1000)), 1);
+});
+
+test('key choosers stay within the seeded and inserted rows', () => {
+  for (const distribution of ['uniform', 'zipfian', 'latest']) {
+    const keys = draw(3, 2000, random => createKeyChooser(distribution, 100, random).next);
+    assert.deepEqual(keys, draw(3, 2000, random => createKeyChooser(distribution, 100, random).next));
+    assert.ok(keys.every(id => Number.isInteger(id) && id >= 1 && id <= 100), `${distribution} key out of range`);
+  }
+
+  setSeed(3);
+  const latest = createKeyChooser('latest', 100, createRandom('workload keys'));
+  for (let i = 0; i < 10; i++) latest.inserted();
+  const keys = Array.from({ length: 2000 }, () => latest.next());
+  assert.ok(keys.every(id => id >= 1 && id <= 110));
+  assert.ok(keys.includes(110));
+  latest.reset();
+  assert.ok(Array.from({ length: 2000 }, () => latest.next()).every(id => id <= 100));
+});
+
+test('an unknown distribution is rejected', () => {
+  assert.throws(() => createKeyChooser('normal', 100, Math.random), { message: /Unknown key distribution "normal"/ });
+});